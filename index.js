@@ -4,10 +4,22 @@
 exports.crypto = require('./src/crypto');
 exports.curve = require('./src/curve');
 exports.keyhelper = require('./src/keyhelper');
+exports.padding = require('./src/padding');
+exports.MessageType = require('./src/message_type');
+exports.Direction = require('./src/direction');
 exports.ProtocolAddress = require('./src/protocol_address');
+exports.ProtocolVersion = require('./src/protocol_version');
 exports.SessionBuilder = require('./src/session_builder');
 exports.SessionCipher = require('./src/session_cipher');
+exports.SealedSessionCipher = require('./src/sealed_session_cipher');
+exports.SenderCertificate = require('./src/sender_certificate');
+exports.ServerCertificate = exports.SenderCertificate.ServerCertificate;
+exports.GroupSessionBuilder = require('./src/group_session_builder');
+exports.GroupCipher = require('./src/group_cipher');
+exports.SenderKeyName = require('./src/sender_key_name');
+exports.SenderKeyRecord = require('./src/sender_key_record');
 exports.SessionRecord = require('./src/session_record');
+exports.VerifiedStatus = require('./src/verified_status');
 Object.assign(exports, require('./src/errors'));
 
 // New optimized exports
@@ -18,3 +30,5 @@ exports.utils = {
     KeyHelper: require('./src/utils/key_helper').KeyHelper
 };
 exports.crypto_engine = require('./src/crypto/crypto_engine');
+exports.storage = require('./src/storage');
+exports.InMemorySignalProtocolStore = exports.storage.InMemorySignalProtocolStore;
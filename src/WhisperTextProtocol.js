@@ -28,6 +28,7 @@ $root.textsecure = (function() {
          * @property {number|null} [counter] WhisperMessage counter
          * @property {number|null} [previousCounter] WhisperMessage previousCounter
          * @property {Uint8Array|null} [ciphertext] WhisperMessage ciphertext
+         * @property {boolean|null} [endSession] WhisperMessage endSession
          */
 
         /**
@@ -77,6 +78,14 @@ $root.textsecure = (function() {
          */
         WhisperMessage.prototype.ciphertext = $util.newBuffer([]);
 
+        /**
+         * WhisperMessage endSession.
+         * @member {boolean} endSession
+         * @memberof textsecure.WhisperMessage
+         * @instance
+         */
+        WhisperMessage.prototype.endSession = false;
+
         /**
          * Creates a new WhisperMessage instance using the specified properties.
          * @function create
@@ -109,6 +118,8 @@ $root.textsecure = (function() {
                 writer.uint32(/* id 3, wireType 0 =*/24).uint32(message.previousCounter);
             if (message.ciphertext != null && message.hasOwnProperty("ciphertext"))
                 writer.uint32(/* id 4, wireType 2 =*/34).bytes(message.ciphertext);
+            if (message.endSession != null && message.hasOwnProperty("endSession"))
+                writer.uint32(/* id 5, wireType 0 =*/40).bool(message.endSession);
             return writer;
         };
 
@@ -155,6 +166,9 @@ $root.textsecure = (function() {
                 case 4:
                     message.ciphertext = reader.bytes();
                     break;
+                case 5:
+                    message.endSession = reader.bool();
+                    break;
                 default:
                     reader.skipType(tag & 7);
                     break;
@@ -202,6 +216,9 @@ $root.textsecure = (function() {
             if (message.ciphertext != null && message.hasOwnProperty("ciphertext"))
                 if (!(message.ciphertext && typeof message.ciphertext.length === "number" || $util.isString(message.ciphertext)))
                     return "ciphertext: buffer expected";
+            if (message.endSession != null && message.hasOwnProperty("endSession"))
+                if (typeof message.endSession !== "boolean")
+                    return "endSession: boolean expected";
             return null;
         };
 
@@ -231,6 +248,8 @@ $root.textsecure = (function() {
                     $util.base64.decode(object.ciphertext, message.ciphertext = $util.newBuffer($util.base64.length(object.ciphertext)), 0);
                 else if (object.ciphertext.length)
                     message.ciphertext = object.ciphertext;
+            if (object.endSession != null)
+                message.endSession = Boolean(object.endSession);
             return message;
         };
 
@@ -264,6 +283,7 @@ $root.textsecure = (function() {
                     if (options.bytes !== Array)
                         object.ciphertext = $util.newBuffer(object.ciphertext);
                 }
+                object.endSession = false;
             }
             if (message.ephemeralKey != null && message.hasOwnProperty("ephemeralKey"))
                 object.ephemeralKey = options.bytes === String ? $util.base64.encode(message.ephemeralKey, 0, message.ephemeralKey.length) : options.bytes === Array ? Array.prototype.slice.call(message.ephemeralKey) : message.ephemeralKey;
@@ -273,6 +293,8 @@ $root.textsecure = (function() {
                 object.previousCounter = message.previousCounter;
             if (message.ciphertext != null && message.hasOwnProperty("ciphertext"))
                 object.ciphertext = options.bytes === String ? $util.base64.encode(message.ciphertext, 0, message.ciphertext.length) : options.bytes === Array ? Array.prototype.slice.call(message.ciphertext) : message.ciphertext;
+            if (message.endSession != null && message.hasOwnProperty("endSession"))
+                object.endSession = message.endSession;
             return object;
         };
 
@@ -302,6 +324,8 @@ $root.textsecure = (function() {
          * @property {Uint8Array|null} [baseKey] PreKeyWhisperMessage baseKey
          * @property {Uint8Array|null} [identityKey] PreKeyWhisperMessage identityKey
          * @property {Uint8Array|null} [message] PreKeyWhisperMessage message
+         * @property {number|null} [kyberPreKeyId] PreKeyWhisperMessage kyberPreKeyId
+         * @property {Uint8Array|null} [kyberCiphertext] PreKeyWhisperMessage kyberCiphertext
          */
 
         /**
@@ -367,6 +391,22 @@ $root.textsecure = (function() {
          */
         PreKeyWhisperMessage.prototype.message = $util.newBuffer([]);
 
+        /**
+         * PreKeyWhisperMessage kyberPreKeyId.
+         * @member {number} kyberPreKeyId
+         * @memberof textsecure.PreKeyWhisperMessage
+         * @instance
+         */
+        PreKeyWhisperMessage.prototype.kyberPreKeyId = 0;
+
+        /**
+         * PreKeyWhisperMessage kyberCiphertext.
+         * @member {Uint8Array} kyberCiphertext
+         * @memberof textsecure.PreKeyWhisperMessage
+         * @instance
+         */
+        PreKeyWhisperMessage.prototype.kyberCiphertext = $util.newBuffer([]);
+
         /**
          * Creates a new PreKeyWhisperMessage instance using the specified properties.
          * @function create
@@ -403,6 +443,10 @@ $root.textsecure = (function() {
                 writer.uint32(/* id 5, wireType 0 =*/40).uint32(message.registrationId);
             if (message.signedPreKeyId != null && message.hasOwnProperty("signedPreKeyId"))
                 writer.uint32(/* id 6, wireType 0 =*/48).uint32(message.signedPreKeyId);
+            if (message.kyberPreKeyId != null && message.hasOwnProperty("kyberPreKeyId"))
+                writer.uint32(/* id 7, wireType 0 =*/56).uint32(message.kyberPreKeyId);
+            if (message.kyberCiphertext != null && message.hasOwnProperty("kyberCiphertext"))
+                writer.uint32(/* id 8, wireType 2 =*/66).bytes(message.kyberCiphertext);
             return writer;
         };
 
@@ -455,6 +499,12 @@ $root.textsecure = (function() {
                 case 4:
                     message.message = reader.bytes();
                     break;
+                case 7:
+                    message.kyberPreKeyId = reader.uint32();
+                    break;
+                case 8:
+                    message.kyberCiphertext = reader.bytes();
+                    break;
                 default:
                     reader.skipType(tag & 7);
                     break;
@@ -508,6 +558,12 @@ $root.textsecure = (function() {
             if (message.message != null && message.hasOwnProperty("message"))
                 if (!(message.message && typeof message.message.length === "number" || $util.isString(message.message)))
                     return "message: buffer expected";
+            if (message.kyberPreKeyId != null && message.hasOwnProperty("kyberPreKeyId"))
+                if (!$util.isInteger(message.kyberPreKeyId))
+                    return "kyberPreKeyId: integer expected";
+            if (message.kyberCiphertext != null && message.hasOwnProperty("kyberCiphertext"))
+                if (!(message.kyberCiphertext && typeof message.kyberCiphertext.length === "number" || $util.isString(message.kyberCiphertext)))
+                    return "kyberCiphertext: buffer expected";
             return null;
         };
 
@@ -544,6 +600,13 @@ $root.textsecure = (function() {
                     $util.base64.decode(object.message, message.message = $util.newBuffer($util.base64.length(object.message)), 0);
                 else if (object.message.length)
                     message.message = object.message;
+            if (object.kyberPreKeyId != null)
+                message.kyberPreKeyId = object.kyberPreKeyId >>> 0;
+            if (object.kyberCiphertext != null)
+                if (typeof object.kyberCiphertext === "string")
+                    $util.base64.decode(object.kyberCiphertext, message.kyberCiphertext = $util.newBuffer($util.base64.length(object.kyberCiphertext)), 0);
+                else if (object.kyberCiphertext.length)
+                    message.kyberCiphertext = object.kyberCiphertext;
             return message;
         };
 
@@ -585,6 +648,14 @@ $root.textsecure = (function() {
                 }
                 object.registrationId = 0;
                 object.signedPreKeyId = 0;
+                object.kyberPreKeyId = 0;
+                if (options.bytes === String)
+                    object.kyberCiphertext = "";
+                else {
+                    object.kyberCiphertext = [];
+                    if (options.bytes !== Array)
+                        object.kyberCiphertext = $util.newBuffer(object.kyberCiphertext);
+                }
             }
             if (message.preKeyId != null && message.hasOwnProperty("preKeyId"))
                 object.preKeyId = message.preKeyId;
@@ -598,6 +669,10 @@ $root.textsecure = (function() {
                 object.registrationId = message.registrationId;
             if (message.signedPreKeyId != null && message.hasOwnProperty("signedPreKeyId"))
                 object.signedPreKeyId = message.signedPreKeyId;
+            if (message.kyberPreKeyId != null && message.hasOwnProperty("kyberPreKeyId"))
+                object.kyberPreKeyId = message.kyberPreKeyId;
+            if (message.kyberCiphertext != null && message.hasOwnProperty("kyberCiphertext"))
+                object.kyberCiphertext = options.bytes === String ? $util.base64.encode(message.kyberCiphertext, 0, message.kyberCiphertext.length) : options.bytes === Array ? Array.prototype.slice.call(message.kyberCiphertext) : message.kyberCiphertext;
             return object;
         };
 
@@ -626,6 +701,7 @@ $root.textsecure = (function() {
          * @property {Uint8Array|null} [ephemeralKey] KeyExchangeMessage ephemeralKey
          * @property {Uint8Array|null} [identityKey] KeyExchangeMessage identityKey
          * @property {Uint8Array|null} [baseKeySignature] KeyExchangeMessage baseKeySignature
+         * @property {number|null} [flags] KeyExchangeMessage flags
          */
 
         /**
@@ -683,6 +759,14 @@ $root.textsecure = (function() {
          */
         KeyExchangeMessage.prototype.baseKeySignature = $util.newBuffer([]);
 
+        /**
+         * KeyExchangeMessage flags.
+         * @member {number} flags
+         * @memberof textsecure.KeyExchangeMessage
+         * @instance
+         */
+        KeyExchangeMessage.prototype.flags = 0;
+
         /**
          * Creates a new KeyExchangeMessage instance using the specified properties.
          * @function create
@@ -717,6 +801,8 @@ $root.textsecure = (function() {
                 writer.uint32(/* id 4, wireType 2 =*/34).bytes(message.identityKey);
             if (message.baseKeySignature != null && message.hasOwnProperty("baseKeySignature"))
                 writer.uint32(/* id 5, wireType 2 =*/42).bytes(message.baseKeySignature);
+            if (message.flags != null && message.hasOwnProperty("flags"))
+                writer.uint32(/* id 6, wireType 0 =*/48).uint32(message.flags);
             return writer;
         };
 
@@ -766,6 +852,9 @@ $root.textsecure = (function() {
                 case 5:
                     message.baseKeySignature = reader.bytes();
                     break;
+                case 6:
+                    message.flags = reader.uint32();
+                    break;
                 default:
                     reader.skipType(tag & 7);
                     break;
@@ -816,6 +905,9 @@ $root.textsecure = (function() {
             if (message.baseKeySignature != null && message.hasOwnProperty("baseKeySignature"))
                 if (!(message.baseKeySignature && typeof message.baseKeySignature.length === "number" || $util.isString(message.baseKeySignature)))
                     return "baseKeySignature: buffer expected";
+            if (message.flags != null && message.hasOwnProperty("flags"))
+                if (!$util.isInteger(message.flags))
+                    return "flags: integer expected";
             return null;
         };
 
@@ -853,6 +945,8 @@ $root.textsecure = (function() {
                     $util.base64.decode(object.baseKeySignature, message.baseKeySignature = $util.newBuffer($util.base64.length(object.baseKeySignature)), 0);
                 else if (object.baseKeySignature.length)
                     message.baseKeySignature = object.baseKeySignature;
+            if (object.flags != null)
+                message.flags = object.flags >>> 0;
             return message;
         };
 
@@ -899,6 +993,7 @@ $root.textsecure = (function() {
                     if (options.bytes !== Array)
                         object.baseKeySignature = $util.newBuffer(object.baseKeySignature);
                 }
+                object.flags = 0;
             }
             if (message.id != null && message.hasOwnProperty("id"))
                 object.id = message.id;
@@ -910,6 +1005,8 @@ $root.textsecure = (function() {
                 object.identityKey = options.bytes === String ? $util.base64.encode(message.identityKey, 0, message.identityKey.length) : options.bytes === Array ? Array.prototype.slice.call(message.identityKey) : message.identityKey;
             if (message.baseKeySignature != null && message.hasOwnProperty("baseKeySignature"))
                 object.baseKeySignature = options.bytes === String ? $util.base64.encode(message.baseKeySignature, 0, message.baseKeySignature.length) : options.bytes === Array ? Array.prototype.slice.call(message.baseKeySignature) : message.baseKeySignature;
+            if (message.flags != null && message.hasOwnProperty("flags"))
+                object.flags = message.flags;
             return object;
         };
 
@@ -927,6 +1024,2011 @@ $root.textsecure = (function() {
         return KeyExchangeMessage;
     })();
 
+    textsecure.SenderKeyMessage = (function() {
+
+        /**
+         * Properties of a SenderKeyMessage.
+         * @memberof textsecure
+         * @interface ISenderKeyMessage
+         * @property {number|null} [id] SenderKeyMessage id
+         * @property {number|null} [iteration] SenderKeyMessage iteration
+         * @property {Uint8Array|null} [ciphertext] SenderKeyMessage ciphertext
+         */
+
+        /**
+         * Constructs a new SenderKeyMessage.
+         * @memberof textsecure
+         * @classdesc Represents a SenderKeyMessage.
+         * @implements ISenderKeyMessage
+         * @constructor
+         * @param {textsecure.ISenderKeyMessage=} [properties] Properties to set
+         */
+        function SenderKeyMessage(properties) {
+            if (properties)
+                for (var keys = Object.keys(properties), i = 0; i < keys.length; ++i)
+                    if (properties[keys[i]] != null)
+                        this[keys[i]] = properties[keys[i]];
+        }
+
+        /**
+         * SenderKeyMessage id.
+         * @member {number} id
+         * @memberof textsecure.SenderKeyMessage
+         * @instance
+         */
+        SenderKeyMessage.prototype.id = 0;
+
+        /**
+         * SenderKeyMessage iteration.
+         * @member {number} iteration
+         * @memberof textsecure.SenderKeyMessage
+         * @instance
+         */
+        SenderKeyMessage.prototype.iteration = 0;
+
+        /**
+         * SenderKeyMessage ciphertext.
+         * @member {Uint8Array} ciphertext
+         * @memberof textsecure.SenderKeyMessage
+         * @instance
+         */
+        SenderKeyMessage.prototype.ciphertext = $util.newBuffer([]);
+
+        /**
+         * Creates a new SenderKeyMessage instance using the specified properties.
+         * @function create
+         * @memberof textsecure.SenderKeyMessage
+         * @static
+         * @param {textsecure.ISenderKeyMessage=} [properties] Properties to set
+         * @returns {textsecure.SenderKeyMessage} SenderKeyMessage instance
+         */
+        SenderKeyMessage.create = function create(properties) {
+            return new SenderKeyMessage(properties);
+        };
+
+        /**
+         * Encodes the specified SenderKeyMessage message. Does not implicitly {@link textsecure.SenderKeyMessage.verify|verify} messages.
+         * @function encode
+         * @memberof textsecure.SenderKeyMessage
+         * @static
+         * @param {textsecure.ISenderKeyMessage} message SenderKeyMessage message or plain object to encode
+         * @param {$protobuf.Writer} [writer] Writer to encode to
+         * @returns {$protobuf.Writer} Writer
+         */
+        SenderKeyMessage.encode = function encode(message, writer) {
+            if (!writer)
+                writer = $Writer.create();
+            if (message.id != null && message.hasOwnProperty("id"))
+                writer.uint32(/* id 1, wireType 0 =*/8).uint32(message.id);
+            if (message.iteration != null && message.hasOwnProperty("iteration"))
+                writer.uint32(/* id 2, wireType 0 =*/16).uint32(message.iteration);
+            if (message.ciphertext != null && message.hasOwnProperty("ciphertext"))
+                writer.uint32(/* id 3, wireType 2 =*/26).bytes(message.ciphertext);
+            return writer;
+        };
+
+        /**
+         * Encodes the specified SenderKeyMessage message, length delimited. Does not implicitly {@link textsecure.SenderKeyMessage.verify|verify} messages.
+         * @function encodeDelimited
+         * @memberof textsecure.SenderKeyMessage
+         * @static
+         * @param {textsecure.ISenderKeyMessage} message SenderKeyMessage message or plain object to encode
+         * @param {$protobuf.Writer} [writer] Writer to encode to
+         * @returns {$protobuf.Writer} Writer
+         */
+        SenderKeyMessage.encodeDelimited = function encodeDelimited(message, writer) {
+            return this.encode(message, writer).ldelim();
+        };
+
+        /**
+         * Decodes a SenderKeyMessage message from the specified reader or buffer.
+         * @function decode
+         * @memberof textsecure.SenderKeyMessage
+         * @static
+         * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+         * @param {number} [length] Message length if known beforehand
+         * @returns {textsecure.SenderKeyMessage} SenderKeyMessage
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        SenderKeyMessage.decode = function decode(reader, length) {
+            if (!(reader instanceof $Reader))
+                reader = $Reader.create(reader);
+            var end = length === undefined ? reader.len : reader.pos + length, message = new $root.textsecure.SenderKeyMessage();
+            while (reader.pos < end) {
+                var tag = reader.uint32();
+                switch (tag >>> 3) {
+                case 1:
+                    message.id = reader.uint32();
+                    break;
+                case 2:
+                    message.iteration = reader.uint32();
+                    break;
+                case 3:
+                    message.ciphertext = reader.bytes();
+                    break;
+                default:
+                    reader.skipType(tag & 7);
+                    break;
+                }
+            }
+            return message;
+        };
+
+        /**
+         * Decodes a SenderKeyMessage message from the specified reader or buffer, length delimited.
+         * @function decodeDelimited
+         * @memberof textsecure.SenderKeyMessage
+         * @static
+         * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+         * @returns {textsecure.SenderKeyMessage} SenderKeyMessage
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        SenderKeyMessage.decodeDelimited = function decodeDelimited(reader) {
+            if (!(reader instanceof $Reader))
+                reader = new $Reader(reader);
+            return this.decode(reader, reader.uint32());
+        };
+
+        /**
+         * Verifies a SenderKeyMessage message.
+         * @function verify
+         * @memberof textsecure.SenderKeyMessage
+         * @static
+         * @param {Object.<string,*>} message Plain object to verify
+         * @returns {string|null} `null` if valid, otherwise the reason why it is not
+         */
+        SenderKeyMessage.verify = function verify(message) {
+            if (typeof message !== "object" || message === null)
+                return "object expected";
+            if (message.id != null && message.hasOwnProperty("id"))
+                if (!$util.isInteger(message.id))
+                    return "id: integer expected";
+            if (message.iteration != null && message.hasOwnProperty("iteration"))
+                if (!$util.isInteger(message.iteration))
+                    return "iteration: integer expected";
+            if (message.ciphertext != null && message.hasOwnProperty("ciphertext"))
+                if (!(message.ciphertext && typeof message.ciphertext.length === "number" || $util.isString(message.ciphertext)))
+                    return "ciphertext: buffer expected";
+            return null;
+        };
+
+        /**
+         * Creates a SenderKeyMessage message from a plain object. Also converts values to their respective internal types.
+         * @function fromObject
+         * @memberof textsecure.SenderKeyMessage
+         * @static
+         * @param {Object.<string,*>} object Plain object
+         * @returns {textsecure.SenderKeyMessage} SenderKeyMessage
+         */
+        SenderKeyMessage.fromObject = function fromObject(object) {
+            if (object instanceof $root.textsecure.SenderKeyMessage)
+                return object;
+            var message = new $root.textsecure.SenderKeyMessage();
+            if (object.id != null)
+                message.id = object.id >>> 0;
+            if (object.iteration != null)
+                message.iteration = object.iteration >>> 0;
+            if (object.ciphertext != null)
+                if (typeof object.ciphertext === "string")
+                    $util.base64.decode(object.ciphertext, message.ciphertext = $util.newBuffer($util.base64.length(object.ciphertext)), 0);
+                else if (object.ciphertext.length)
+                    message.ciphertext = object.ciphertext;
+            return message;
+        };
+
+        /**
+         * Creates a plain object from a SenderKeyMessage message. Also converts values to other types if specified.
+         * @function toObject
+         * @memberof textsecure.SenderKeyMessage
+         * @static
+         * @param {textsecure.SenderKeyMessage} message SenderKeyMessage
+         * @param {$protobuf.IConversionOptions} [options] Conversion options
+         * @returns {Object.<string,*>} Plain object
+         */
+        SenderKeyMessage.toObject = function toObject(message, options) {
+            if (!options)
+                options = {};
+            var object = {};
+            if (options.defaults) {
+                object.id = 0;
+                object.iteration = 0;
+                if (options.bytes === String)
+                    object.ciphertext = "";
+                else {
+                    object.ciphertext = [];
+                    if (options.bytes !== Array)
+                        object.ciphertext = $util.newBuffer(object.ciphertext);
+                }
+            }
+            if (message.id != null && message.hasOwnProperty("id"))
+                object.id = message.id;
+            if (message.iteration != null && message.hasOwnProperty("iteration"))
+                object.iteration = message.iteration;
+            if (message.ciphertext != null && message.hasOwnProperty("ciphertext"))
+                object.ciphertext = options.bytes === String ? $util.base64.encode(message.ciphertext, 0, message.ciphertext.length) : options.bytes === Array ? Array.prototype.slice.call(message.ciphertext) : message.ciphertext;
+            return object;
+        };
+
+        /**
+         * Converts this SenderKeyMessage to JSON.
+         * @function toJSON
+         * @memberof textsecure.SenderKeyMessage
+         * @instance
+         * @returns {Object.<string,*>} JSON object
+         */
+        SenderKeyMessage.prototype.toJSON = function toJSON() {
+            return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+        };
+
+        return SenderKeyMessage;
+    })();
+
+    textsecure.SenderKeyDistributionMessage = (function() {
+
+        /**
+         * Properties of a SenderKeyDistributionMessage.
+         * @memberof textsecure
+         * @interface ISenderKeyDistributionMessage
+         * @property {number|null} [id] SenderKeyDistributionMessage id
+         * @property {number|null} [iteration] SenderKeyDistributionMessage iteration
+         * @property {Uint8Array|null} [chainKey] SenderKeyDistributionMessage chainKey
+         * @property {Uint8Array|null} [signingKey] SenderKeyDistributionMessage signingKey
+         */
+
+        /**
+         * Constructs a new SenderKeyDistributionMessage.
+         * @memberof textsecure
+         * @classdesc Represents a SenderKeyDistributionMessage.
+         * @implements ISenderKeyDistributionMessage
+         * @constructor
+         * @param {textsecure.ISenderKeyDistributionMessage=} [properties] Properties to set
+         */
+        function SenderKeyDistributionMessage(properties) {
+            if (properties)
+                for (var keys = Object.keys(properties), i = 0; i < keys.length; ++i)
+                    if (properties[keys[i]] != null)
+                        this[keys[i]] = properties[keys[i]];
+        }
+
+        /**
+         * SenderKeyDistributionMessage id.
+         * @member {number} id
+         * @memberof textsecure.SenderKeyDistributionMessage
+         * @instance
+         */
+        SenderKeyDistributionMessage.prototype.id = 0;
+
+        /**
+         * SenderKeyDistributionMessage iteration.
+         * @member {number} iteration
+         * @memberof textsecure.SenderKeyDistributionMessage
+         * @instance
+         */
+        SenderKeyDistributionMessage.prototype.iteration = 0;
+
+        /**
+         * SenderKeyDistributionMessage chainKey.
+         * @member {Uint8Array} chainKey
+         * @memberof textsecure.SenderKeyDistributionMessage
+         * @instance
+         */
+        SenderKeyDistributionMessage.prototype.chainKey = $util.newBuffer([]);
+
+        /**
+         * SenderKeyDistributionMessage signingKey.
+         * @member {Uint8Array} signingKey
+         * @memberof textsecure.SenderKeyDistributionMessage
+         * @instance
+         */
+        SenderKeyDistributionMessage.prototype.signingKey = $util.newBuffer([]);
+
+        /**
+         * Creates a new SenderKeyDistributionMessage instance using the specified properties.
+         * @function create
+         * @memberof textsecure.SenderKeyDistributionMessage
+         * @static
+         * @param {textsecure.ISenderKeyDistributionMessage=} [properties] Properties to set
+         * @returns {textsecure.SenderKeyDistributionMessage} SenderKeyDistributionMessage instance
+         */
+        SenderKeyDistributionMessage.create = function create(properties) {
+            return new SenderKeyDistributionMessage(properties);
+        };
+
+        /**
+         * Encodes the specified SenderKeyDistributionMessage message. Does not implicitly {@link textsecure.SenderKeyDistributionMessage.verify|verify} messages.
+         * @function encode
+         * @memberof textsecure.SenderKeyDistributionMessage
+         * @static
+         * @param {textsecure.ISenderKeyDistributionMessage} message SenderKeyDistributionMessage message or plain object to encode
+         * @param {$protobuf.Writer} [writer] Writer to encode to
+         * @returns {$protobuf.Writer} Writer
+         */
+        SenderKeyDistributionMessage.encode = function encode(message, writer) {
+            if (!writer)
+                writer = $Writer.create();
+            if (message.id != null && message.hasOwnProperty("id"))
+                writer.uint32(/* id 1, wireType 0 =*/8).uint32(message.id);
+            if (message.iteration != null && message.hasOwnProperty("iteration"))
+                writer.uint32(/* id 2, wireType 0 =*/16).uint32(message.iteration);
+            if (message.chainKey != null && message.hasOwnProperty("chainKey"))
+                writer.uint32(/* id 3, wireType 2 =*/26).bytes(message.chainKey);
+            if (message.signingKey != null && message.hasOwnProperty("signingKey"))
+                writer.uint32(/* id 4, wireType 2 =*/34).bytes(message.signingKey);
+            return writer;
+        };
+
+        /**
+         * Encodes the specified SenderKeyDistributionMessage message, length delimited. Does not implicitly {@link textsecure.SenderKeyDistributionMessage.verify|verify} messages.
+         * @function encodeDelimited
+         * @memberof textsecure.SenderKeyDistributionMessage
+         * @static
+         * @param {textsecure.ISenderKeyDistributionMessage} message SenderKeyDistributionMessage message or plain object to encode
+         * @param {$protobuf.Writer} [writer] Writer to encode to
+         * @returns {$protobuf.Writer} Writer
+         */
+        SenderKeyDistributionMessage.encodeDelimited = function encodeDelimited(message, writer) {
+            return this.encode(message, writer).ldelim();
+        };
+
+        /**
+         * Decodes a SenderKeyDistributionMessage message from the specified reader or buffer.
+         * @function decode
+         * @memberof textsecure.SenderKeyDistributionMessage
+         * @static
+         * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+         * @param {number} [length] Message length if known beforehand
+         * @returns {textsecure.SenderKeyDistributionMessage} SenderKeyDistributionMessage
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        SenderKeyDistributionMessage.decode = function decode(reader, length) {
+            if (!(reader instanceof $Reader))
+                reader = $Reader.create(reader);
+            var end = length === undefined ? reader.len : reader.pos + length, message = new $root.textsecure.SenderKeyDistributionMessage();
+            while (reader.pos < end) {
+                var tag = reader.uint32();
+                switch (tag >>> 3) {
+                case 1:
+                    message.id = reader.uint32();
+                    break;
+                case 2:
+                    message.iteration = reader.uint32();
+                    break;
+                case 3:
+                    message.chainKey = reader.bytes();
+                    break;
+                case 4:
+                    message.signingKey = reader.bytes();
+                    break;
+                default:
+                    reader.skipType(tag & 7);
+                    break;
+                }
+            }
+            return message;
+        };
+
+        /**
+         * Decodes a SenderKeyDistributionMessage message from the specified reader or buffer, length delimited.
+         * @function decodeDelimited
+         * @memberof textsecure.SenderKeyDistributionMessage
+         * @static
+         * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+         * @returns {textsecure.SenderKeyDistributionMessage} SenderKeyDistributionMessage
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        SenderKeyDistributionMessage.decodeDelimited = function decodeDelimited(reader) {
+            if (!(reader instanceof $Reader))
+                reader = new $Reader(reader);
+            return this.decode(reader, reader.uint32());
+        };
+
+        /**
+         * Verifies a SenderKeyDistributionMessage message.
+         * @function verify
+         * @memberof textsecure.SenderKeyDistributionMessage
+         * @static
+         * @param {Object.<string,*>} message Plain object to verify
+         * @returns {string|null} `null` if valid, otherwise the reason why it is not
+         */
+        SenderKeyDistributionMessage.verify = function verify(message) {
+            if (typeof message !== "object" || message === null)
+                return "object expected";
+            if (message.id != null && message.hasOwnProperty("id"))
+                if (!$util.isInteger(message.id))
+                    return "id: integer expected";
+            if (message.iteration != null && message.hasOwnProperty("iteration"))
+                if (!$util.isInteger(message.iteration))
+                    return "iteration: integer expected";
+            if (message.chainKey != null && message.hasOwnProperty("chainKey"))
+                if (!(message.chainKey && typeof message.chainKey.length === "number" || $util.isString(message.chainKey)))
+                    return "chainKey: buffer expected";
+            if (message.signingKey != null && message.hasOwnProperty("signingKey"))
+                if (!(message.signingKey && typeof message.signingKey.length === "number" || $util.isString(message.signingKey)))
+                    return "signingKey: buffer expected";
+            return null;
+        };
+
+        /**
+         * Creates a SenderKeyDistributionMessage message from a plain object. Also converts values to their respective internal types.
+         * @function fromObject
+         * @memberof textsecure.SenderKeyDistributionMessage
+         * @static
+         * @param {Object.<string,*>} object Plain object
+         * @returns {textsecure.SenderKeyDistributionMessage} SenderKeyDistributionMessage
+         */
+        SenderKeyDistributionMessage.fromObject = function fromObject(object) {
+            if (object instanceof $root.textsecure.SenderKeyDistributionMessage)
+                return object;
+            var message = new $root.textsecure.SenderKeyDistributionMessage();
+            if (object.id != null)
+                message.id = object.id >>> 0;
+            if (object.iteration != null)
+                message.iteration = object.iteration >>> 0;
+            if (object.chainKey != null)
+                if (typeof object.chainKey === "string")
+                    $util.base64.decode(object.chainKey, message.chainKey = $util.newBuffer($util.base64.length(object.chainKey)), 0);
+                else if (object.chainKey.length)
+                    message.chainKey = object.chainKey;
+            if (object.signingKey != null)
+                if (typeof object.signingKey === "string")
+                    $util.base64.decode(object.signingKey, message.signingKey = $util.newBuffer($util.base64.length(object.signingKey)), 0);
+                else if (object.signingKey.length)
+                    message.signingKey = object.signingKey;
+            return message;
+        };
+
+        /**
+         * Creates a plain object from a SenderKeyDistributionMessage message. Also converts values to other types if specified.
+         * @function toObject
+         * @memberof textsecure.SenderKeyDistributionMessage
+         * @static
+         * @param {textsecure.SenderKeyDistributionMessage} message SenderKeyDistributionMessage
+         * @param {$protobuf.IConversionOptions} [options] Conversion options
+         * @returns {Object.<string,*>} Plain object
+         */
+        SenderKeyDistributionMessage.toObject = function toObject(message, options) {
+            if (!options)
+                options = {};
+            var object = {};
+            if (options.defaults) {
+                object.id = 0;
+                object.iteration = 0;
+                if (options.bytes === String)
+                    object.chainKey = "";
+                else {
+                    object.chainKey = [];
+                    if (options.bytes !== Array)
+                        object.chainKey = $util.newBuffer(object.chainKey);
+                }
+                if (options.bytes === String)
+                    object.signingKey = "";
+                else {
+                    object.signingKey = [];
+                    if (options.bytes !== Array)
+                        object.signingKey = $util.newBuffer(object.signingKey);
+                }
+            }
+            if (message.id != null && message.hasOwnProperty("id"))
+                object.id = message.id;
+            if (message.iteration != null && message.hasOwnProperty("iteration"))
+                object.iteration = message.iteration;
+            if (message.chainKey != null && message.hasOwnProperty("chainKey"))
+                object.chainKey = options.bytes === String ? $util.base64.encode(message.chainKey, 0, message.chainKey.length) : options.bytes === Array ? Array.prototype.slice.call(message.chainKey) : message.chainKey;
+            if (message.signingKey != null && message.hasOwnProperty("signingKey"))
+                object.signingKey = options.bytes === String ? $util.base64.encode(message.signingKey, 0, message.signingKey.length) : options.bytes === Array ? Array.prototype.slice.call(message.signingKey) : message.signingKey;
+            return object;
+        };
+
+        /**
+         * Converts this SenderKeyDistributionMessage to JSON.
+         * @function toJSON
+         * @memberof textsecure.SenderKeyDistributionMessage
+         * @instance
+         * @returns {Object.<string,*>} JSON object
+         */
+        SenderKeyDistributionMessage.prototype.toJSON = function toJSON() {
+            return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+        };
+
+        return SenderKeyDistributionMessage;
+    })();
+
+    textsecure.ServerCertificate = (function() {
+
+        /**
+         * Properties of a ServerCertificate.
+         * @memberof textsecure
+         * @interface IServerCertificate
+         * @property {Uint8Array|null} [certificate] ServerCertificate certificate
+         * @property {Uint8Array|null} [signature] ServerCertificate signature
+         */
+
+        /**
+         * Constructs a new ServerCertificate.
+         * @memberof textsecure
+         * @classdesc Represents a ServerCertificate.
+         * @implements IServerCertificate
+         * @constructor
+         * @param {textsecure.IServerCertificate=} [properties] Properties to set
+         */
+        function ServerCertificate(properties) {
+            if (properties)
+                for (var keys = Object.keys(properties), i = 0; i < keys.length; ++i)
+                    if (properties[keys[i]] != null)
+                        this[keys[i]] = properties[keys[i]];
+        }
+
+        /**
+         * ServerCertificate certificate.
+         * @member {Uint8Array} certificate
+         * @memberof textsecure.ServerCertificate
+         * @instance
+         */
+        ServerCertificate.prototype.certificate = $util.newBuffer([]);
+
+        /**
+         * ServerCertificate signature.
+         * @member {Uint8Array} signature
+         * @memberof textsecure.ServerCertificate
+         * @instance
+         */
+        ServerCertificate.prototype.signature = $util.newBuffer([]);
+
+        /**
+         * Creates a new ServerCertificate instance using the specified properties.
+         * @function create
+         * @memberof textsecure.ServerCertificate
+         * @static
+         * @param {textsecure.IServerCertificate=} [properties] Properties to set
+         * @returns {textsecure.ServerCertificate} ServerCertificate instance
+         */
+        ServerCertificate.create = function create(properties) {
+            return new ServerCertificate(properties);
+        };
+
+        /**
+         * Encodes the specified ServerCertificate message. Does not implicitly {@link textsecure.ServerCertificate.verify|verify} messages.
+         * @function encode
+         * @memberof textsecure.ServerCertificate
+         * @static
+         * @param {textsecure.IServerCertificate} message ServerCertificate message or plain object to encode
+         * @param {$protobuf.Writer} [writer] Writer to encode to
+         * @returns {$protobuf.Writer} Writer
+         */
+        ServerCertificate.encode = function encode(message, writer) {
+            if (!writer)
+                writer = $Writer.create();
+            if (message.certificate != null && message.hasOwnProperty("certificate"))
+                writer.uint32(/* id 1, wireType 2 =*/10).bytes(message.certificate);
+            if (message.signature != null && message.hasOwnProperty("signature"))
+                writer.uint32(/* id 2, wireType 2 =*/18).bytes(message.signature);
+            return writer;
+        };
+
+        /**
+         * Encodes the specified ServerCertificate message, length delimited. Does not implicitly {@link textsecure.ServerCertificate.verify|verify} messages.
+         * @function encodeDelimited
+         * @memberof textsecure.ServerCertificate
+         * @static
+         * @param {textsecure.IServerCertificate} message ServerCertificate message or plain object to encode
+         * @param {$protobuf.Writer} [writer] Writer to encode to
+         * @returns {$protobuf.Writer} Writer
+         */
+        ServerCertificate.encodeDelimited = function encodeDelimited(message, writer) {
+            return this.encode(message, writer).ldelim();
+        };
+
+        /**
+         * Decodes a ServerCertificate message from the specified reader or buffer.
+         * @function decode
+         * @memberof textsecure.ServerCertificate
+         * @static
+         * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+         * @param {number} [length] Message length if known beforehand
+         * @returns {textsecure.ServerCertificate} ServerCertificate
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        ServerCertificate.decode = function decode(reader, length) {
+            if (!(reader instanceof $Reader))
+                reader = $Reader.create(reader);
+            var end = length === undefined ? reader.len : reader.pos + length, message = new $root.textsecure.ServerCertificate();
+            while (reader.pos < end) {
+                var tag = reader.uint32();
+                switch (tag >>> 3) {
+                case 1:
+                    message.certificate = reader.bytes();
+                    break;
+                case 2:
+                    message.signature = reader.bytes();
+                    break;
+                default:
+                    reader.skipType(tag & 7);
+                    break;
+                }
+            }
+            return message;
+        };
+
+        /**
+         * Decodes a ServerCertificate message from the specified reader or buffer, length delimited.
+         * @function decodeDelimited
+         * @memberof textsecure.ServerCertificate
+         * @static
+         * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+         * @returns {textsecure.ServerCertificate} ServerCertificate
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        ServerCertificate.decodeDelimited = function decodeDelimited(reader) {
+            if (!(reader instanceof $Reader))
+                reader = new $Reader(reader);
+            return this.decode(reader, reader.uint32());
+        };
+
+        /**
+         * Verifies a ServerCertificate message.
+         * @function verify
+         * @memberof textsecure.ServerCertificate
+         * @static
+         * @param {Object.<string,*>} message Plain object to verify
+         * @returns {string|null} `null` if valid, otherwise the reason why it is not
+         */
+        ServerCertificate.verify = function verify(message) {
+            if (typeof message !== "object" || message === null)
+                return "object expected";
+            if (message.certificate != null && message.hasOwnProperty("certificate"))
+                if (!(message.certificate && typeof message.certificate.length === "number" || $util.isString(message.certificate)))
+                    return "certificate: buffer expected";
+            if (message.signature != null && message.hasOwnProperty("signature"))
+                if (!(message.signature && typeof message.signature.length === "number" || $util.isString(message.signature)))
+                    return "signature: buffer expected";
+            return null;
+        };
+
+        /**
+         * Creates a ServerCertificate message from a plain object. Also converts values to their respective internal types.
+         * @function fromObject
+         * @memberof textsecure.ServerCertificate
+         * @static
+         * @param {Object.<string,*>} object Plain object
+         * @returns {textsecure.ServerCertificate} ServerCertificate
+         */
+        ServerCertificate.fromObject = function fromObject(object) {
+            if (object instanceof $root.textsecure.ServerCertificate)
+                return object;
+            var message = new $root.textsecure.ServerCertificate();
+            if (object.certificate != null)
+                if (typeof object.certificate === "string")
+                    $util.base64.decode(object.certificate, message.certificate = $util.newBuffer($util.base64.length(object.certificate)), 0);
+                else if (object.certificate.length)
+                    message.certificate = object.certificate;
+            if (object.signature != null)
+                if (typeof object.signature === "string")
+                    $util.base64.decode(object.signature, message.signature = $util.newBuffer($util.base64.length(object.signature)), 0);
+                else if (object.signature.length)
+                    message.signature = object.signature;
+            return message;
+        };
+
+        /**
+         * Creates a plain object from a ServerCertificate message. Also converts values to other types if specified.
+         * @function toObject
+         * @memberof textsecure.ServerCertificate
+         * @static
+         * @param {textsecure.ServerCertificate} message ServerCertificate
+         * @param {$protobuf.IConversionOptions} [options] Conversion options
+         * @returns {Object.<string,*>} Plain object
+         */
+        ServerCertificate.toObject = function toObject(message, options) {
+            if (!options)
+                options = {};
+            var object = {};
+            if (options.defaults) {
+                if (options.bytes === String)
+                    object.certificate = "";
+                else {
+                    object.certificate = [];
+                    if (options.bytes !== Array)
+                        object.certificate = $util.newBuffer(object.certificate);
+                }
+                if (options.bytes === String)
+                    object.signature = "";
+                else {
+                    object.signature = [];
+                    if (options.bytes !== Array)
+                        object.signature = $util.newBuffer(object.signature);
+                }
+            }
+            if (message.certificate != null && message.hasOwnProperty("certificate"))
+                object.certificate = options.bytes === String ? $util.base64.encode(message.certificate, 0, message.certificate.length) : options.bytes === Array ? Array.prototype.slice.call(message.certificate) : message.certificate;
+            if (message.signature != null && message.hasOwnProperty("signature"))
+                object.signature = options.bytes === String ? $util.base64.encode(message.signature, 0, message.signature.length) : options.bytes === Array ? Array.prototype.slice.call(message.signature) : message.signature;
+            return object;
+        };
+
+        /**
+         * Converts this ServerCertificate to JSON.
+         * @function toJSON
+         * @memberof textsecure.ServerCertificate
+         * @instance
+         * @returns {Object.<string,*>} JSON object
+         */
+        ServerCertificate.prototype.toJSON = function toJSON() {
+            return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+        };
+
+        ServerCertificate.Certificate = (function() {
+
+            /**
+             * Properties of a Certificate.
+             * @memberof textsecure.ServerCertificate
+             * @interface ICertificate
+             * @property {number|null} [id] Certificate id
+             * @property {Uint8Array|null} [key] Certificate key
+             */
+
+            /**
+             * Constructs a new Certificate.
+             * @memberof textsecure.ServerCertificate
+             * @classdesc Represents a Certificate.
+             * @implements ICertificate
+             * @constructor
+             * @param {textsecure.ServerCertificate.ICertificate=} [properties] Properties to set
+             */
+            function Certificate(properties) {
+                if (properties)
+                    for (var keys = Object.keys(properties), i = 0; i < keys.length; ++i)
+                        if (properties[keys[i]] != null)
+                            this[keys[i]] = properties[keys[i]];
+            }
+
+            /**
+             * Certificate id.
+             * @member {number} id
+             * @memberof textsecure.ServerCertificate.Certificate
+             * @instance
+             */
+            Certificate.prototype.id = 0;
+
+            /**
+             * Certificate key.
+             * @member {Uint8Array} key
+             * @memberof textsecure.ServerCertificate.Certificate
+             * @instance
+             */
+            Certificate.prototype.key = $util.newBuffer([]);
+
+            /**
+             * Creates a new Certificate instance using the specified properties.
+             * @function create
+             * @memberof textsecure.ServerCertificate.Certificate
+             * @static
+             * @param {textsecure.ServerCertificate.ICertificate=} [properties] Properties to set
+             * @returns {textsecure.ServerCertificate.Certificate} Certificate instance
+             */
+            Certificate.create = function create(properties) {
+                return new Certificate(properties);
+            };
+
+            /**
+             * Encodes the specified Certificate message. Does not implicitly {@link textsecure.ServerCertificate.Certificate.verify|verify} messages.
+             * @function encode
+             * @memberof textsecure.ServerCertificate.Certificate
+             * @static
+             * @param {textsecure.ServerCertificate.ICertificate} message Certificate message or plain object to encode
+             * @param {$protobuf.Writer} [writer] Writer to encode to
+             * @returns {$protobuf.Writer} Writer
+             */
+            Certificate.encode = function encode(message, writer) {
+                if (!writer)
+                    writer = $Writer.create();
+                if (message.id != null && message.hasOwnProperty("id"))
+                    writer.uint32(/* id 1, wireType 0 =*/8).uint32(message.id);
+                if (message.key != null && message.hasOwnProperty("key"))
+                    writer.uint32(/* id 2, wireType 2 =*/18).bytes(message.key);
+                return writer;
+            };
+
+            /**
+             * Encodes the specified Certificate message, length delimited. Does not implicitly {@link textsecure.ServerCertificate.Certificate.verify|verify} messages.
+             * @function encodeDelimited
+             * @memberof textsecure.ServerCertificate.Certificate
+             * @static
+             * @param {textsecure.ServerCertificate.ICertificate} message Certificate message or plain object to encode
+             * @param {$protobuf.Writer} [writer] Writer to encode to
+             * @returns {$protobuf.Writer} Writer
+             */
+            Certificate.encodeDelimited = function encodeDelimited(message, writer) {
+                return this.encode(message, writer).ldelim();
+            };
+
+            /**
+             * Decodes a Certificate message from the specified reader or buffer.
+             * @function decode
+             * @memberof textsecure.ServerCertificate.Certificate
+             * @static
+             * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+             * @param {number} [length] Message length if known beforehand
+             * @returns {textsecure.ServerCertificate.Certificate} Certificate
+             * @throws {Error} If the payload is not a reader or valid buffer
+             * @throws {$protobuf.util.ProtocolError} If required fields are missing
+             */
+            Certificate.decode = function decode(reader, length) {
+                if (!(reader instanceof $Reader))
+                    reader = $Reader.create(reader);
+                var end = length === undefined ? reader.len : reader.pos + length, message = new $root.textsecure.ServerCertificate.Certificate();
+                while (reader.pos < end) {
+                    var tag = reader.uint32();
+                    switch (tag >>> 3) {
+                    case 1:
+                        message.id = reader.uint32();
+                        break;
+                    case 2:
+                        message.key = reader.bytes();
+                        break;
+                    default:
+                        reader.skipType(tag & 7);
+                        break;
+                    }
+                }
+                return message;
+            };
+
+            /**
+             * Decodes a Certificate message from the specified reader or buffer, length delimited.
+             * @function decodeDelimited
+             * @memberof textsecure.ServerCertificate.Certificate
+             * @static
+             * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+             * @returns {textsecure.ServerCertificate.Certificate} Certificate
+             * @throws {Error} If the payload is not a reader or valid buffer
+             * @throws {$protobuf.util.ProtocolError} If required fields are missing
+             */
+            Certificate.decodeDelimited = function decodeDelimited(reader) {
+                if (!(reader instanceof $Reader))
+                    reader = new $Reader(reader);
+                return this.decode(reader, reader.uint32());
+            };
+
+            /**
+             * Verifies a Certificate message.
+             * @function verify
+             * @memberof textsecure.ServerCertificate.Certificate
+             * @static
+             * @param {Object.<string,*>} message Plain object to verify
+             * @returns {string|null} `null` if valid, otherwise the reason why it is not
+             */
+            Certificate.verify = function verify(message) {
+                if (typeof message !== "object" || message === null)
+                    return "object expected";
+                if (message.id != null && message.hasOwnProperty("id"))
+                    if (!$util.isInteger(message.id))
+                        return "id: integer expected";
+                if (message.key != null && message.hasOwnProperty("key"))
+                    if (!(message.key && typeof message.key.length === "number" || $util.isString(message.key)))
+                        return "key: buffer expected";
+                return null;
+            };
+
+            /**
+             * Creates a Certificate message from a plain object. Also converts values to their respective internal types.
+             * @function fromObject
+             * @memberof textsecure.ServerCertificate.Certificate
+             * @static
+             * @param {Object.<string,*>} object Plain object
+             * @returns {textsecure.ServerCertificate.Certificate} Certificate
+             */
+            Certificate.fromObject = function fromObject(object) {
+                if (object instanceof $root.textsecure.ServerCertificate.Certificate)
+                    return object;
+                var message = new $root.textsecure.ServerCertificate.Certificate();
+                if (object.id != null)
+                    message.id = object.id >>> 0;
+                if (object.key != null)
+                    if (typeof object.key === "string")
+                        $util.base64.decode(object.key, message.key = $util.newBuffer($util.base64.length(object.key)), 0);
+                    else if (object.key.length)
+                        message.key = object.key;
+                return message;
+            };
+
+            /**
+             * Creates a plain object from a Certificate message. Also converts values to other types if specified.
+             * @function toObject
+             * @memberof textsecure.ServerCertificate.Certificate
+             * @static
+             * @param {textsecure.ServerCertificate.Certificate} message Certificate
+             * @param {$protobuf.IConversionOptions} [options] Conversion options
+             * @returns {Object.<string,*>} Plain object
+             */
+            Certificate.toObject = function toObject(message, options) {
+                if (!options)
+                    options = {};
+                var object = {};
+                if (options.defaults) {
+                    object.id = 0;
+                    if (options.bytes === String)
+                        object.key = "";
+                    else {
+                        object.key = [];
+                        if (options.bytes !== Array)
+                            object.key = $util.newBuffer(object.key);
+                    }
+                }
+                if (message.id != null && message.hasOwnProperty("id"))
+                    object.id = message.id;
+                if (message.key != null && message.hasOwnProperty("key"))
+                    object.key = options.bytes === String ? $util.base64.encode(message.key, 0, message.key.length) : options.bytes === Array ? Array.prototype.slice.call(message.key) : message.key;
+                return object;
+            };
+
+            /**
+             * Converts this Certificate to JSON.
+             * @function toJSON
+             * @memberof textsecure.ServerCertificate.Certificate
+             * @instance
+             * @returns {Object.<string,*>} JSON object
+             */
+            Certificate.prototype.toJSON = function toJSON() {
+                return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+            };
+
+            return Certificate;
+        })();
+
+        return ServerCertificate;
+    })();
+
+    textsecure.SenderCertificate = (function() {
+
+        /**
+         * Properties of a SenderCertificate.
+         * @memberof textsecure
+         * @interface ISenderCertificate
+         * @property {Uint8Array|null} [certificate] SenderCertificate certificate
+         * @property {Uint8Array|null} [signature] SenderCertificate signature
+         */
+
+        /**
+         * Constructs a new SenderCertificate.
+         * @memberof textsecure
+         * @classdesc Represents a SenderCertificate.
+         * @implements ISenderCertificate
+         * @constructor
+         * @param {textsecure.ISenderCertificate=} [properties] Properties to set
+         */
+        function SenderCertificate(properties) {
+            if (properties)
+                for (var keys = Object.keys(properties), i = 0; i < keys.length; ++i)
+                    if (properties[keys[i]] != null)
+                        this[keys[i]] = properties[keys[i]];
+        }
+
+        /**
+         * SenderCertificate certificate.
+         * @member {Uint8Array} certificate
+         * @memberof textsecure.SenderCertificate
+         * @instance
+         */
+        SenderCertificate.prototype.certificate = $util.newBuffer([]);
+
+        /**
+         * SenderCertificate signature.
+         * @member {Uint8Array} signature
+         * @memberof textsecure.SenderCertificate
+         * @instance
+         */
+        SenderCertificate.prototype.signature = $util.newBuffer([]);
+
+        /**
+         * Creates a new SenderCertificate instance using the specified properties.
+         * @function create
+         * @memberof textsecure.SenderCertificate
+         * @static
+         * @param {textsecure.ISenderCertificate=} [properties] Properties to set
+         * @returns {textsecure.SenderCertificate} SenderCertificate instance
+         */
+        SenderCertificate.create = function create(properties) {
+            return new SenderCertificate(properties);
+        };
+
+        /**
+         * Encodes the specified SenderCertificate message. Does not implicitly {@link textsecure.SenderCertificate.verify|verify} messages.
+         * @function encode
+         * @memberof textsecure.SenderCertificate
+         * @static
+         * @param {textsecure.ISenderCertificate} message SenderCertificate message or plain object to encode
+         * @param {$protobuf.Writer} [writer] Writer to encode to
+         * @returns {$protobuf.Writer} Writer
+         */
+        SenderCertificate.encode = function encode(message, writer) {
+            if (!writer)
+                writer = $Writer.create();
+            if (message.certificate != null && message.hasOwnProperty("certificate"))
+                writer.uint32(/* id 1, wireType 2 =*/10).bytes(message.certificate);
+            if (message.signature != null && message.hasOwnProperty("signature"))
+                writer.uint32(/* id 2, wireType 2 =*/18).bytes(message.signature);
+            return writer;
+        };
+
+        /**
+         * Encodes the specified SenderCertificate message, length delimited. Does not implicitly {@link textsecure.SenderCertificate.verify|verify} messages.
+         * @function encodeDelimited
+         * @memberof textsecure.SenderCertificate
+         * @static
+         * @param {textsecure.ISenderCertificate} message SenderCertificate message or plain object to encode
+         * @param {$protobuf.Writer} [writer] Writer to encode to
+         * @returns {$protobuf.Writer} Writer
+         */
+        SenderCertificate.encodeDelimited = function encodeDelimited(message, writer) {
+            return this.encode(message, writer).ldelim();
+        };
+
+        /**
+         * Decodes a SenderCertificate message from the specified reader or buffer.
+         * @function decode
+         * @memberof textsecure.SenderCertificate
+         * @static
+         * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+         * @param {number} [length] Message length if known beforehand
+         * @returns {textsecure.SenderCertificate} SenderCertificate
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        SenderCertificate.decode = function decode(reader, length) {
+            if (!(reader instanceof $Reader))
+                reader = $Reader.create(reader);
+            var end = length === undefined ? reader.len : reader.pos + length, message = new $root.textsecure.SenderCertificate();
+            while (reader.pos < end) {
+                var tag = reader.uint32();
+                switch (tag >>> 3) {
+                case 1:
+                    message.certificate = reader.bytes();
+                    break;
+                case 2:
+                    message.signature = reader.bytes();
+                    break;
+                default:
+                    reader.skipType(tag & 7);
+                    break;
+                }
+            }
+            return message;
+        };
+
+        /**
+         * Decodes a SenderCertificate message from the specified reader or buffer, length delimited.
+         * @function decodeDelimited
+         * @memberof textsecure.SenderCertificate
+         * @static
+         * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+         * @returns {textsecure.SenderCertificate} SenderCertificate
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        SenderCertificate.decodeDelimited = function decodeDelimited(reader) {
+            if (!(reader instanceof $Reader))
+                reader = new $Reader(reader);
+            return this.decode(reader, reader.uint32());
+        };
+
+        /**
+         * Verifies a SenderCertificate message.
+         * @function verify
+         * @memberof textsecure.SenderCertificate
+         * @static
+         * @param {Object.<string,*>} message Plain object to verify
+         * @returns {string|null} `null` if valid, otherwise the reason why it is not
+         */
+        SenderCertificate.verify = function verify(message) {
+            if (typeof message !== "object" || message === null)
+                return "object expected";
+            if (message.certificate != null && message.hasOwnProperty("certificate"))
+                if (!(message.certificate && typeof message.certificate.length === "number" || $util.isString(message.certificate)))
+                    return "certificate: buffer expected";
+            if (message.signature != null && message.hasOwnProperty("signature"))
+                if (!(message.signature && typeof message.signature.length === "number" || $util.isString(message.signature)))
+                    return "signature: buffer expected";
+            return null;
+        };
+
+        /**
+         * Creates a SenderCertificate message from a plain object. Also converts values to their respective internal types.
+         * @function fromObject
+         * @memberof textsecure.SenderCertificate
+         * @static
+         * @param {Object.<string,*>} object Plain object
+         * @returns {textsecure.SenderCertificate} SenderCertificate
+         */
+        SenderCertificate.fromObject = function fromObject(object) {
+            if (object instanceof $root.textsecure.SenderCertificate)
+                return object;
+            var message = new $root.textsecure.SenderCertificate();
+            if (object.certificate != null)
+                if (typeof object.certificate === "string")
+                    $util.base64.decode(object.certificate, message.certificate = $util.newBuffer($util.base64.length(object.certificate)), 0);
+                else if (object.certificate.length)
+                    message.certificate = object.certificate;
+            if (object.signature != null)
+                if (typeof object.signature === "string")
+                    $util.base64.decode(object.signature, message.signature = $util.newBuffer($util.base64.length(object.signature)), 0);
+                else if (object.signature.length)
+                    message.signature = object.signature;
+            return message;
+        };
+
+        /**
+         * Creates a plain object from a SenderCertificate message. Also converts values to other types if specified.
+         * @function toObject
+         * @memberof textsecure.SenderCertificate
+         * @static
+         * @param {textsecure.SenderCertificate} message SenderCertificate
+         * @param {$protobuf.IConversionOptions} [options] Conversion options
+         * @returns {Object.<string,*>} Plain object
+         */
+        SenderCertificate.toObject = function toObject(message, options) {
+            if (!options)
+                options = {};
+            var object = {};
+            if (options.defaults) {
+                if (options.bytes === String)
+                    object.certificate = "";
+                else {
+                    object.certificate = [];
+                    if (options.bytes !== Array)
+                        object.certificate = $util.newBuffer(object.certificate);
+                }
+                if (options.bytes === String)
+                    object.signature = "";
+                else {
+                    object.signature = [];
+                    if (options.bytes !== Array)
+                        object.signature = $util.newBuffer(object.signature);
+                }
+            }
+            if (message.certificate != null && message.hasOwnProperty("certificate"))
+                object.certificate = options.bytes === String ? $util.base64.encode(message.certificate, 0, message.certificate.length) : options.bytes === Array ? Array.prototype.slice.call(message.certificate) : message.certificate;
+            if (message.signature != null && message.hasOwnProperty("signature"))
+                object.signature = options.bytes === String ? $util.base64.encode(message.signature, 0, message.signature.length) : options.bytes === Array ? Array.prototype.slice.call(message.signature) : message.signature;
+            return object;
+        };
+
+        /**
+         * Converts this SenderCertificate to JSON.
+         * @function toJSON
+         * @memberof textsecure.SenderCertificate
+         * @instance
+         * @returns {Object.<string,*>} JSON object
+         */
+        SenderCertificate.prototype.toJSON = function toJSON() {
+            return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+        };
+
+        SenderCertificate.Certificate = (function() {
+
+            /**
+             * Properties of a Certificate.
+             * @memberof textsecure.SenderCertificate
+             * @interface ICertificate
+             * @property {string|null} [sender] Certificate sender
+             * @property {number|null} [senderDevice] Certificate senderDevice
+             * @property {number|Long|null} [expires] Certificate expires
+             * @property {Uint8Array|null} [identityKey] Certificate identityKey
+             * @property {Uint8Array|null} [signer] Certificate signer
+             */
+
+            /**
+             * Constructs a new Certificate.
+             * @memberof textsecure.SenderCertificate
+             * @classdesc Represents a Certificate.
+             * @implements ICertificate
+             * @constructor
+             * @param {textsecure.SenderCertificate.ICertificate=} [properties] Properties to set
+             */
+            function Certificate(properties) {
+                if (properties)
+                    for (var keys = Object.keys(properties), i = 0; i < keys.length; ++i)
+                        if (properties[keys[i]] != null)
+                            this[keys[i]] = properties[keys[i]];
+            }
+
+            /**
+             * Certificate sender.
+             * @member {string} sender
+             * @memberof textsecure.SenderCertificate.Certificate
+             * @instance
+             */
+            Certificate.prototype.sender = "";
+
+            /**
+             * Certificate senderDevice.
+             * @member {number} senderDevice
+             * @memberof textsecure.SenderCertificate.Certificate
+             * @instance
+             */
+            Certificate.prototype.senderDevice = 0;
+
+            /**
+             * Certificate expires.
+             * @member {number|Long} expires
+             * @memberof textsecure.SenderCertificate.Certificate
+             * @instance
+             */
+            Certificate.prototype.expires = $util.Long ? $util.Long.fromBits(0,0,false) : 0;
+
+            /**
+             * Certificate identityKey.
+             * @member {Uint8Array} identityKey
+             * @memberof textsecure.SenderCertificate.Certificate
+             * @instance
+             */
+            Certificate.prototype.identityKey = $util.newBuffer([]);
+
+            /**
+             * Certificate signer.
+             * @member {Uint8Array} signer
+             * @memberof textsecure.SenderCertificate.Certificate
+             * @instance
+             */
+            Certificate.prototype.signer = $util.newBuffer([]);
+
+            /**
+             * Creates a new Certificate instance using the specified properties.
+             * @function create
+             * @memberof textsecure.SenderCertificate.Certificate
+             * @static
+             * @param {textsecure.SenderCertificate.ICertificate=} [properties] Properties to set
+             * @returns {textsecure.SenderCertificate.Certificate} Certificate instance
+             */
+            Certificate.create = function create(properties) {
+                return new Certificate(properties);
+            };
+
+            /**
+             * Encodes the specified Certificate message. Does not implicitly {@link textsecure.SenderCertificate.Certificate.verify|verify} messages.
+             * @function encode
+             * @memberof textsecure.SenderCertificate.Certificate
+             * @static
+             * @param {textsecure.SenderCertificate.ICertificate} message Certificate message or plain object to encode
+             * @param {$protobuf.Writer} [writer] Writer to encode to
+             * @returns {$protobuf.Writer} Writer
+             */
+            Certificate.encode = function encode(message, writer) {
+                if (!writer)
+                    writer = $Writer.create();
+                if (message.sender != null && message.hasOwnProperty("sender"))
+                    writer.uint32(/* id 1, wireType 2 =*/10).string(message.sender);
+                if (message.senderDevice != null && message.hasOwnProperty("senderDevice"))
+                    writer.uint32(/* id 2, wireType 0 =*/16).uint32(message.senderDevice);
+                if (message.expires != null && message.hasOwnProperty("expires"))
+                    writer.uint32(/* id 3, wireType 1 =*/25).fixed64(message.expires);
+                if (message.identityKey != null && message.hasOwnProperty("identityKey"))
+                    writer.uint32(/* id 4, wireType 2 =*/34).bytes(message.identityKey);
+                if (message.signer != null && message.hasOwnProperty("signer"))
+                    writer.uint32(/* id 5, wireType 2 =*/42).bytes(message.signer);
+                return writer;
+            };
+
+            /**
+             * Encodes the specified Certificate message, length delimited. Does not implicitly {@link textsecure.SenderCertificate.Certificate.verify|verify} messages.
+             * @function encodeDelimited
+             * @memberof textsecure.SenderCertificate.Certificate
+             * @static
+             * @param {textsecure.SenderCertificate.ICertificate} message Certificate message or plain object to encode
+             * @param {$protobuf.Writer} [writer] Writer to encode to
+             * @returns {$protobuf.Writer} Writer
+             */
+            Certificate.encodeDelimited = function encodeDelimited(message, writer) {
+                return this.encode(message, writer).ldelim();
+            };
+
+            /**
+             * Decodes a Certificate message from the specified reader or buffer.
+             * @function decode
+             * @memberof textsecure.SenderCertificate.Certificate
+             * @static
+             * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+             * @param {number} [length] Message length if known beforehand
+             * @returns {textsecure.SenderCertificate.Certificate} Certificate
+             * @throws {Error} If the payload is not a reader or valid buffer
+             * @throws {$protobuf.util.ProtocolError} If required fields are missing
+             */
+            Certificate.decode = function decode(reader, length) {
+                if (!(reader instanceof $Reader))
+                    reader = $Reader.create(reader);
+                var end = length === undefined ? reader.len : reader.pos + length, message = new $root.textsecure.SenderCertificate.Certificate();
+                while (reader.pos < end) {
+                    var tag = reader.uint32();
+                    switch (tag >>> 3) {
+                    case 1:
+                        message.sender = reader.string();
+                        break;
+                    case 2:
+                        message.senderDevice = reader.uint32();
+                        break;
+                    case 3:
+                        message.expires = reader.fixed64();
+                        break;
+                    case 4:
+                        message.identityKey = reader.bytes();
+                        break;
+                    case 5:
+                        message.signer = reader.bytes();
+                        break;
+                    default:
+                        reader.skipType(tag & 7);
+                        break;
+                    }
+                }
+                return message;
+            };
+
+            /**
+             * Decodes a Certificate message from the specified reader or buffer, length delimited.
+             * @function decodeDelimited
+             * @memberof textsecure.SenderCertificate.Certificate
+             * @static
+             * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+             * @returns {textsecure.SenderCertificate.Certificate} Certificate
+             * @throws {Error} If the payload is not a reader or valid buffer
+             * @throws {$protobuf.util.ProtocolError} If required fields are missing
+             */
+            Certificate.decodeDelimited = function decodeDelimited(reader) {
+                if (!(reader instanceof $Reader))
+                    reader = new $Reader(reader);
+                return this.decode(reader, reader.uint32());
+            };
+
+            /**
+             * Verifies a Certificate message.
+             * @function verify
+             * @memberof textsecure.SenderCertificate.Certificate
+             * @static
+             * @param {Object.<string,*>} message Plain object to verify
+             * @returns {string|null} `null` if valid, otherwise the reason why it is not
+             */
+            Certificate.verify = function verify(message) {
+                if (typeof message !== "object" || message === null)
+                    return "object expected";
+                if (message.sender != null && message.hasOwnProperty("sender"))
+                    if (!$util.isString(message.sender))
+                        return "sender: string expected";
+                if (message.senderDevice != null && message.hasOwnProperty("senderDevice"))
+                    if (!$util.isInteger(message.senderDevice))
+                        return "senderDevice: integer expected";
+                if (message.expires != null && message.hasOwnProperty("expires"))
+                    if (!$util.isInteger(message.expires) && !(message.expires && $util.isInteger(message.expires.low) && $util.isInteger(message.expires.high)))
+                        return "expires: integer|Long expected";
+                if (message.identityKey != null && message.hasOwnProperty("identityKey"))
+                    if (!(message.identityKey && typeof message.identityKey.length === "number" || $util.isString(message.identityKey)))
+                        return "identityKey: buffer expected";
+                if (message.signer != null && message.hasOwnProperty("signer"))
+                    if (!(message.signer && typeof message.signer.length === "number" || $util.isString(message.signer)))
+                        return "signer: buffer expected";
+                return null;
+            };
+
+            /**
+             * Creates a Certificate message from a plain object. Also converts values to their respective internal types.
+             * @function fromObject
+             * @memberof textsecure.SenderCertificate.Certificate
+             * @static
+             * @param {Object.<string,*>} object Plain object
+             * @returns {textsecure.SenderCertificate.Certificate} Certificate
+             */
+            Certificate.fromObject = function fromObject(object) {
+                if (object instanceof $root.textsecure.SenderCertificate.Certificate)
+                    return object;
+                var message = new $root.textsecure.SenderCertificate.Certificate();
+                if (object.sender != null)
+                    message.sender = String(object.sender);
+                if (object.senderDevice != null)
+                    message.senderDevice = object.senderDevice >>> 0;
+                if (object.expires != null)
+                    if ($util.Long)
+                        (message.expires = $util.Long.fromValue(object.expires)).unsigned = false;
+                    else if (typeof object.expires === "string")
+                        message.expires = parseInt(object.expires, 10);
+                    else if (typeof object.expires === "number")
+                        message.expires = object.expires;
+                    else if (typeof object.expires === "object")
+                        message.expires = new $util.LongBits(object.expires.low >>> 0, object.expires.high >>> 0).toNumber();
+                if (object.identityKey != null)
+                    if (typeof object.identityKey === "string")
+                        $util.base64.decode(object.identityKey, message.identityKey = $util.newBuffer($util.base64.length(object.identityKey)), 0);
+                    else if (object.identityKey.length)
+                        message.identityKey = object.identityKey;
+                if (object.signer != null)
+                    if (typeof object.signer === "string")
+                        $util.base64.decode(object.signer, message.signer = $util.newBuffer($util.base64.length(object.signer)), 0);
+                    else if (object.signer.length)
+                        message.signer = object.signer;
+                return message;
+            };
+
+            /**
+             * Creates a plain object from a Certificate message. Also converts values to other types if specified.
+             * @function toObject
+             * @memberof textsecure.SenderCertificate.Certificate
+             * @static
+             * @param {textsecure.SenderCertificate.Certificate} message Certificate
+             * @param {$protobuf.IConversionOptions} [options] Conversion options
+             * @returns {Object.<string,*>} Plain object
+             */
+            Certificate.toObject = function toObject(message, options) {
+                if (!options)
+                    options = {};
+                var object = {};
+                if (options.defaults) {
+                    object.sender = "";
+                    object.senderDevice = 0;
+                    if ($util.Long) {
+                        var long = new $util.Long(0, 0, false);
+                        object.expires = options.longs === String ? long.toString() : options.longs === Number ? long.toNumber() : long;
+                    } else
+                        object.expires = options.longs === String ? "0" : 0;
+                    if (options.bytes === String)
+                        object.identityKey = "";
+                    else {
+                        object.identityKey = [];
+                        if (options.bytes !== Array)
+                            object.identityKey = $util.newBuffer(object.identityKey);
+                    }
+                    if (options.bytes === String)
+                        object.signer = "";
+                    else {
+                        object.signer = [];
+                        if (options.bytes !== Array)
+                            object.signer = $util.newBuffer(object.signer);
+                    }
+                }
+                if (message.sender != null && message.hasOwnProperty("sender"))
+                    object.sender = message.sender;
+                if (message.senderDevice != null && message.hasOwnProperty("senderDevice"))
+                    object.senderDevice = message.senderDevice;
+                if (message.expires != null && message.hasOwnProperty("expires"))
+                    if (typeof message.expires === "number")
+                        object.expires = options.longs === String ? String(message.expires) : message.expires;
+                    else
+                        object.expires = options.longs === String ? $util.Long.prototype.toString.call(message.expires) : options.longs === Number ? new $util.LongBits(message.expires.low >>> 0, message.expires.high >>> 0).toNumber() : message.expires;
+                if (message.identityKey != null && message.hasOwnProperty("identityKey"))
+                    object.identityKey = options.bytes === String ? $util.base64.encode(message.identityKey, 0, message.identityKey.length) : options.bytes === Array ? Array.prototype.slice.call(message.identityKey) : message.identityKey;
+                if (message.signer != null && message.hasOwnProperty("signer"))
+                    object.signer = options.bytes === String ? $util.base64.encode(message.signer, 0, message.signer.length) : options.bytes === Array ? Array.prototype.slice.call(message.signer) : message.signer;
+                return object;
+            };
+
+            /**
+             * Converts this Certificate to JSON.
+             * @function toJSON
+             * @memberof textsecure.SenderCertificate.Certificate
+             * @instance
+             * @returns {Object.<string,*>} JSON object
+             */
+            Certificate.prototype.toJSON = function toJSON() {
+                return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+            };
+
+            return Certificate;
+        })();
+
+        return SenderCertificate;
+    })();
+
+    textsecure.UnidentifiedSenderMessage = (function() {
+
+        /**
+         * Properties of an UnidentifiedSenderMessage.
+         * @memberof textsecure
+         * @interface IUnidentifiedSenderMessage
+         * @property {Uint8Array|null} [ephemeralPublic] UnidentifiedSenderMessage ephemeralPublic
+         * @property {Uint8Array|null} [encryptedStatic] UnidentifiedSenderMessage encryptedStatic
+         * @property {Uint8Array|null} [encryptedMessage] UnidentifiedSenderMessage encryptedMessage
+         */
+
+        /**
+         * Constructs a new UnidentifiedSenderMessage.
+         * @memberof textsecure
+         * @classdesc Represents an UnidentifiedSenderMessage.
+         * @implements IUnidentifiedSenderMessage
+         * @constructor
+         * @param {textsecure.IUnidentifiedSenderMessage=} [properties] Properties to set
+         */
+        function UnidentifiedSenderMessage(properties) {
+            if (properties)
+                for (var keys = Object.keys(properties), i = 0; i < keys.length; ++i)
+                    if (properties[keys[i]] != null)
+                        this[keys[i]] = properties[keys[i]];
+        }
+
+        /**
+         * UnidentifiedSenderMessage ephemeralPublic.
+         * @member {Uint8Array} ephemeralPublic
+         * @memberof textsecure.UnidentifiedSenderMessage
+         * @instance
+         */
+        UnidentifiedSenderMessage.prototype.ephemeralPublic = $util.newBuffer([]);
+
+        /**
+         * UnidentifiedSenderMessage encryptedStatic.
+         * @member {Uint8Array} encryptedStatic
+         * @memberof textsecure.UnidentifiedSenderMessage
+         * @instance
+         */
+        UnidentifiedSenderMessage.prototype.encryptedStatic = $util.newBuffer([]);
+
+        /**
+         * UnidentifiedSenderMessage encryptedMessage.
+         * @member {Uint8Array} encryptedMessage
+         * @memberof textsecure.UnidentifiedSenderMessage
+         * @instance
+         */
+        UnidentifiedSenderMessage.prototype.encryptedMessage = $util.newBuffer([]);
+
+        /**
+         * Creates a new UnidentifiedSenderMessage instance using the specified properties.
+         * @function create
+         * @memberof textsecure.UnidentifiedSenderMessage
+         * @static
+         * @param {textsecure.IUnidentifiedSenderMessage=} [properties] Properties to set
+         * @returns {textsecure.UnidentifiedSenderMessage} UnidentifiedSenderMessage instance
+         */
+        UnidentifiedSenderMessage.create = function create(properties) {
+            return new UnidentifiedSenderMessage(properties);
+        };
+
+        /**
+         * Encodes the specified UnidentifiedSenderMessage message. Does not implicitly {@link textsecure.UnidentifiedSenderMessage.verify|verify} messages.
+         * @function encode
+         * @memberof textsecure.UnidentifiedSenderMessage
+         * @static
+         * @param {textsecure.IUnidentifiedSenderMessage} message UnidentifiedSenderMessage message or plain object to encode
+         * @param {$protobuf.Writer} [writer] Writer to encode to
+         * @returns {$protobuf.Writer} Writer
+         */
+        UnidentifiedSenderMessage.encode = function encode(message, writer) {
+            if (!writer)
+                writer = $Writer.create();
+            if (message.ephemeralPublic != null && message.hasOwnProperty("ephemeralPublic"))
+                writer.uint32(/* id 1, wireType 2 =*/10).bytes(message.ephemeralPublic);
+            if (message.encryptedStatic != null && message.hasOwnProperty("encryptedStatic"))
+                writer.uint32(/* id 2, wireType 2 =*/18).bytes(message.encryptedStatic);
+            if (message.encryptedMessage != null && message.hasOwnProperty("encryptedMessage"))
+                writer.uint32(/* id 3, wireType 2 =*/26).bytes(message.encryptedMessage);
+            return writer;
+        };
+
+        /**
+         * Encodes the specified UnidentifiedSenderMessage message, length delimited. Does not implicitly {@link textsecure.UnidentifiedSenderMessage.verify|verify} messages.
+         * @function encodeDelimited
+         * @memberof textsecure.UnidentifiedSenderMessage
+         * @static
+         * @param {textsecure.IUnidentifiedSenderMessage} message UnidentifiedSenderMessage message or plain object to encode
+         * @param {$protobuf.Writer} [writer] Writer to encode to
+         * @returns {$protobuf.Writer} Writer
+         */
+        UnidentifiedSenderMessage.encodeDelimited = function encodeDelimited(message, writer) {
+            return this.encode(message, writer).ldelim();
+        };
+
+        /**
+         * Decodes an UnidentifiedSenderMessage message from the specified reader or buffer.
+         * @function decode
+         * @memberof textsecure.UnidentifiedSenderMessage
+         * @static
+         * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+         * @param {number} [length] Message length if known beforehand
+         * @returns {textsecure.UnidentifiedSenderMessage} UnidentifiedSenderMessage
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        UnidentifiedSenderMessage.decode = function decode(reader, length) {
+            if (!(reader instanceof $Reader))
+                reader = $Reader.create(reader);
+            var end = length === undefined ? reader.len : reader.pos + length, message = new $root.textsecure.UnidentifiedSenderMessage();
+            while (reader.pos < end) {
+                var tag = reader.uint32();
+                switch (tag >>> 3) {
+                case 1:
+                    message.ephemeralPublic = reader.bytes();
+                    break;
+                case 2:
+                    message.encryptedStatic = reader.bytes();
+                    break;
+                case 3:
+                    message.encryptedMessage = reader.bytes();
+                    break;
+                default:
+                    reader.skipType(tag & 7);
+                    break;
+                }
+            }
+            return message;
+        };
+
+        /**
+         * Decodes an UnidentifiedSenderMessage message from the specified reader or buffer, length delimited.
+         * @function decodeDelimited
+         * @memberof textsecure.UnidentifiedSenderMessage
+         * @static
+         * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+         * @returns {textsecure.UnidentifiedSenderMessage} UnidentifiedSenderMessage
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        UnidentifiedSenderMessage.decodeDelimited = function decodeDelimited(reader) {
+            if (!(reader instanceof $Reader))
+                reader = new $Reader(reader);
+            return this.decode(reader, reader.uint32());
+        };
+
+        /**
+         * Verifies an UnidentifiedSenderMessage message.
+         * @function verify
+         * @memberof textsecure.UnidentifiedSenderMessage
+         * @static
+         * @param {Object.<string,*>} message Plain object to verify
+         * @returns {string|null} `null` if valid, otherwise the reason why it is not
+         */
+        UnidentifiedSenderMessage.verify = function verify(message) {
+            if (typeof message !== "object" || message === null)
+                return "object expected";
+            if (message.ephemeralPublic != null && message.hasOwnProperty("ephemeralPublic"))
+                if (!(message.ephemeralPublic && typeof message.ephemeralPublic.length === "number" || $util.isString(message.ephemeralPublic)))
+                    return "ephemeralPublic: buffer expected";
+            if (message.encryptedStatic != null && message.hasOwnProperty("encryptedStatic"))
+                if (!(message.encryptedStatic && typeof message.encryptedStatic.length === "number" || $util.isString(message.encryptedStatic)))
+                    return "encryptedStatic: buffer expected";
+            if (message.encryptedMessage != null && message.hasOwnProperty("encryptedMessage"))
+                if (!(message.encryptedMessage && typeof message.encryptedMessage.length === "number" || $util.isString(message.encryptedMessage)))
+                    return "encryptedMessage: buffer expected";
+            return null;
+        };
+
+        /**
+         * Creates an UnidentifiedSenderMessage message from a plain object. Also converts values to their respective internal types.
+         * @function fromObject
+         * @memberof textsecure.UnidentifiedSenderMessage
+         * @static
+         * @param {Object.<string,*>} object Plain object
+         * @returns {textsecure.UnidentifiedSenderMessage} UnidentifiedSenderMessage
+         */
+        UnidentifiedSenderMessage.fromObject = function fromObject(object) {
+            if (object instanceof $root.textsecure.UnidentifiedSenderMessage)
+                return object;
+            var message = new $root.textsecure.UnidentifiedSenderMessage();
+            if (object.ephemeralPublic != null)
+                if (typeof object.ephemeralPublic === "string")
+                    $util.base64.decode(object.ephemeralPublic, message.ephemeralPublic = $util.newBuffer($util.base64.length(object.ephemeralPublic)), 0);
+                else if (object.ephemeralPublic.length)
+                    message.ephemeralPublic = object.ephemeralPublic;
+            if (object.encryptedStatic != null)
+                if (typeof object.encryptedStatic === "string")
+                    $util.base64.decode(object.encryptedStatic, message.encryptedStatic = $util.newBuffer($util.base64.length(object.encryptedStatic)), 0);
+                else if (object.encryptedStatic.length)
+                    message.encryptedStatic = object.encryptedStatic;
+            if (object.encryptedMessage != null)
+                if (typeof object.encryptedMessage === "string")
+                    $util.base64.decode(object.encryptedMessage, message.encryptedMessage = $util.newBuffer($util.base64.length(object.encryptedMessage)), 0);
+                else if (object.encryptedMessage.length)
+                    message.encryptedMessage = object.encryptedMessage;
+            return message;
+        };
+
+        /**
+         * Creates a plain object from an UnidentifiedSenderMessage message. Also converts values to other types if specified.
+         * @function toObject
+         * @memberof textsecure.UnidentifiedSenderMessage
+         * @static
+         * @param {textsecure.UnidentifiedSenderMessage} message UnidentifiedSenderMessage
+         * @param {$protobuf.IConversionOptions} [options] Conversion options
+         * @returns {Object.<string,*>} Plain object
+         */
+        UnidentifiedSenderMessage.toObject = function toObject(message, options) {
+            if (!options)
+                options = {};
+            var object = {};
+            if (options.defaults) {
+                if (options.bytes === String)
+                    object.ephemeralPublic = "";
+                else {
+                    object.ephemeralPublic = [];
+                    if (options.bytes !== Array)
+                        object.ephemeralPublic = $util.newBuffer(object.ephemeralPublic);
+                }
+                if (options.bytes === String)
+                    object.encryptedStatic = "";
+                else {
+                    object.encryptedStatic = [];
+                    if (options.bytes !== Array)
+                        object.encryptedStatic = $util.newBuffer(object.encryptedStatic);
+                }
+                if (options.bytes === String)
+                    object.encryptedMessage = "";
+                else {
+                    object.encryptedMessage = [];
+                    if (options.bytes !== Array)
+                        object.encryptedMessage = $util.newBuffer(object.encryptedMessage);
+                }
+            }
+            if (message.ephemeralPublic != null && message.hasOwnProperty("ephemeralPublic"))
+                object.ephemeralPublic = options.bytes === String ? $util.base64.encode(message.ephemeralPublic, 0, message.ephemeralPublic.length) : options.bytes === Array ? Array.prototype.slice.call(message.ephemeralPublic) : message.ephemeralPublic;
+            if (message.encryptedStatic != null && message.hasOwnProperty("encryptedStatic"))
+                object.encryptedStatic = options.bytes === String ? $util.base64.encode(message.encryptedStatic, 0, message.encryptedStatic.length) : options.bytes === Array ? Array.prototype.slice.call(message.encryptedStatic) : message.encryptedStatic;
+            if (message.encryptedMessage != null && message.hasOwnProperty("encryptedMessage"))
+                object.encryptedMessage = options.bytes === String ? $util.base64.encode(message.encryptedMessage, 0, message.encryptedMessage.length) : options.bytes === Array ? Array.prototype.slice.call(message.encryptedMessage) : message.encryptedMessage;
+            return object;
+        };
+
+        /**
+         * Converts this UnidentifiedSenderMessage to JSON.
+         * @function toJSON
+         * @memberof textsecure.UnidentifiedSenderMessage
+         * @instance
+         * @returns {Object.<string,*>} JSON object
+         */
+        UnidentifiedSenderMessage.prototype.toJSON = function toJSON() {
+            return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+        };
+
+        UnidentifiedSenderMessage.Message = (function() {
+
+            /**
+             * Properties of a Message.
+             * @memberof textsecure.UnidentifiedSenderMessage
+             * @interface IMessage
+             * @property {number|null} [type] Message type
+             * @property {Uint8Array|null} [senderCertificate] Message senderCertificate
+             * @property {Uint8Array|null} [content] Message content
+             */
+
+            /**
+             * Constructs a new Message.
+             * @memberof textsecure.UnidentifiedSenderMessage
+             * @classdesc Represents a Message.
+             * @implements IMessage
+             * @constructor
+             * @param {textsecure.UnidentifiedSenderMessage.IMessage=} [properties] Properties to set
+             */
+            function Message(properties) {
+                if (properties)
+                    for (var keys = Object.keys(properties), i = 0; i < keys.length; ++i)
+                        if (properties[keys[i]] != null)
+                            this[keys[i]] = properties[keys[i]];
+            }
+
+            /**
+             * Message type.
+             * @member {number} type
+             * @memberof textsecure.UnidentifiedSenderMessage.Message
+             * @instance
+             */
+            Message.prototype.type = 0;
+
+            /**
+             * Message senderCertificate.
+             * @member {Uint8Array} senderCertificate
+             * @memberof textsecure.UnidentifiedSenderMessage.Message
+             * @instance
+             */
+            Message.prototype.senderCertificate = $util.newBuffer([]);
+
+            /**
+             * Message content.
+             * @member {Uint8Array} content
+             * @memberof textsecure.UnidentifiedSenderMessage.Message
+             * @instance
+             */
+            Message.prototype.content = $util.newBuffer([]);
+
+            /**
+             * Creates a new Message instance using the specified properties.
+             * @function create
+             * @memberof textsecure.UnidentifiedSenderMessage.Message
+             * @static
+             * @param {textsecure.UnidentifiedSenderMessage.IMessage=} [properties] Properties to set
+             * @returns {textsecure.UnidentifiedSenderMessage.Message} Message instance
+             */
+            Message.create = function create(properties) {
+                return new Message(properties);
+            };
+
+            /**
+             * Encodes the specified Message message. Does not implicitly {@link textsecure.UnidentifiedSenderMessage.Message.verify|verify} messages.
+             * @function encode
+             * @memberof textsecure.UnidentifiedSenderMessage.Message
+             * @static
+             * @param {textsecure.UnidentifiedSenderMessage.IMessage} message Message message or plain object to encode
+             * @param {$protobuf.Writer} [writer] Writer to encode to
+             * @returns {$protobuf.Writer} Writer
+             */
+            Message.encode = function encode(message, writer) {
+                if (!writer)
+                    writer = $Writer.create();
+                if (message.type != null && message.hasOwnProperty("type"))
+                    writer.uint32(/* id 1, wireType 0 =*/8).uint32(message.type);
+                if (message.senderCertificate != null && message.hasOwnProperty("senderCertificate"))
+                    writer.uint32(/* id 2, wireType 2 =*/18).bytes(message.senderCertificate);
+                if (message.content != null && message.hasOwnProperty("content"))
+                    writer.uint32(/* id 3, wireType 2 =*/26).bytes(message.content);
+                return writer;
+            };
+
+            /**
+             * Encodes the specified Message message, length delimited. Does not implicitly {@link textsecure.UnidentifiedSenderMessage.Message.verify|verify} messages.
+             * @function encodeDelimited
+             * @memberof textsecure.UnidentifiedSenderMessage.Message
+             * @static
+             * @param {textsecure.UnidentifiedSenderMessage.IMessage} message Message message or plain object to encode
+             * @param {$protobuf.Writer} [writer] Writer to encode to
+             * @returns {$protobuf.Writer} Writer
+             */
+            Message.encodeDelimited = function encodeDelimited(message, writer) {
+                return this.encode(message, writer).ldelim();
+            };
+
+            /**
+             * Decodes a Message message from the specified reader or buffer.
+             * @function decode
+             * @memberof textsecure.UnidentifiedSenderMessage.Message
+             * @static
+             * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+             * @param {number} [length] Message length if known beforehand
+             * @returns {textsecure.UnidentifiedSenderMessage.Message} Message
+             * @throws {Error} If the payload is not a reader or valid buffer
+             * @throws {$protobuf.util.ProtocolError} If required fields are missing
+             */
+            Message.decode = function decode(reader, length) {
+                if (!(reader instanceof $Reader))
+                    reader = $Reader.create(reader);
+                var end = length === undefined ? reader.len : reader.pos + length, message = new $root.textsecure.UnidentifiedSenderMessage.Message();
+                while (reader.pos < end) {
+                    var tag = reader.uint32();
+                    switch (tag >>> 3) {
+                    case 1:
+                        message.type = reader.uint32();
+                        break;
+                    case 2:
+                        message.senderCertificate = reader.bytes();
+                        break;
+                    case 3:
+                        message.content = reader.bytes();
+                        break;
+                    default:
+                        reader.skipType(tag & 7);
+                        break;
+                    }
+                }
+                return message;
+            };
+
+            /**
+             * Decodes a Message message from the specified reader or buffer, length delimited.
+             * @function decodeDelimited
+             * @memberof textsecure.UnidentifiedSenderMessage.Message
+             * @static
+             * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+             * @returns {textsecure.UnidentifiedSenderMessage.Message} Message
+             * @throws {Error} If the payload is not a reader or valid buffer
+             * @throws {$protobuf.util.ProtocolError} If required fields are missing
+             */
+            Message.decodeDelimited = function decodeDelimited(reader) {
+                if (!(reader instanceof $Reader))
+                    reader = new $Reader(reader);
+                return this.decode(reader, reader.uint32());
+            };
+
+            /**
+             * Verifies a Message message.
+             * @function verify
+             * @memberof textsecure.UnidentifiedSenderMessage.Message
+             * @static
+             * @param {Object.<string,*>} message Plain object to verify
+             * @returns {string|null} `null` if valid, otherwise the reason why it is not
+             */
+            Message.verify = function verify(message) {
+                if (typeof message !== "object" || message === null)
+                    return "object expected";
+                if (message.type != null && message.hasOwnProperty("type"))
+                    if (!$util.isInteger(message.type))
+                        return "type: integer expected";
+                if (message.senderCertificate != null && message.hasOwnProperty("senderCertificate"))
+                    if (!(message.senderCertificate && typeof message.senderCertificate.length === "number" || $util.isString(message.senderCertificate)))
+                        return "senderCertificate: buffer expected";
+                if (message.content != null && message.hasOwnProperty("content"))
+                    if (!(message.content && typeof message.content.length === "number" || $util.isString(message.content)))
+                        return "content: buffer expected";
+                return null;
+            };
+
+            /**
+             * Creates a Message message from a plain object. Also converts values to their respective internal types.
+             * @function fromObject
+             * @memberof textsecure.UnidentifiedSenderMessage.Message
+             * @static
+             * @param {Object.<string,*>} object Plain object
+             * @returns {textsecure.UnidentifiedSenderMessage.Message} Message
+             */
+            Message.fromObject = function fromObject(object) {
+                if (object instanceof $root.textsecure.UnidentifiedSenderMessage.Message)
+                    return object;
+                var message = new $root.textsecure.UnidentifiedSenderMessage.Message();
+                if (object.type != null)
+                    message.type = object.type >>> 0;
+                if (object.senderCertificate != null)
+                    if (typeof object.senderCertificate === "string")
+                        $util.base64.decode(object.senderCertificate, message.senderCertificate = $util.newBuffer($util.base64.length(object.senderCertificate)), 0);
+                    else if (object.senderCertificate.length)
+                        message.senderCertificate = object.senderCertificate;
+                if (object.content != null)
+                    if (typeof object.content === "string")
+                        $util.base64.decode(object.content, message.content = $util.newBuffer($util.base64.length(object.content)), 0);
+                    else if (object.content.length)
+                        message.content = object.content;
+                return message;
+            };
+
+            /**
+             * Creates a plain object from a Message message. Also converts values to other types if specified.
+             * @function toObject
+             * @memberof textsecure.UnidentifiedSenderMessage.Message
+             * @static
+             * @param {textsecure.UnidentifiedSenderMessage.Message} message Message
+             * @param {$protobuf.IConversionOptions} [options] Conversion options
+             * @returns {Object.<string,*>} Plain object
+             */
+            Message.toObject = function toObject(message, options) {
+                if (!options)
+                    options = {};
+                var object = {};
+                if (options.defaults) {
+                    object.type = 0;
+                    if (options.bytes === String)
+                        object.senderCertificate = "";
+                    else {
+                        object.senderCertificate = [];
+                        if (options.bytes !== Array)
+                            object.senderCertificate = $util.newBuffer(object.senderCertificate);
+                    }
+                    if (options.bytes === String)
+                        object.content = "";
+                    else {
+                        object.content = [];
+                        if (options.bytes !== Array)
+                            object.content = $util.newBuffer(object.content);
+                    }
+                }
+                if (message.type != null && message.hasOwnProperty("type"))
+                    object.type = message.type;
+                if (message.senderCertificate != null && message.hasOwnProperty("senderCertificate"))
+                    object.senderCertificate = options.bytes === String ? $util.base64.encode(message.senderCertificate, 0, message.senderCertificate.length) : options.bytes === Array ? Array.prototype.slice.call(message.senderCertificate) : message.senderCertificate;
+                if (message.content != null && message.hasOwnProperty("content"))
+                    object.content = options.bytes === String ? $util.base64.encode(message.content, 0, message.content.length) : options.bytes === Array ? Array.prototype.slice.call(message.content) : message.content;
+                return object;
+            };
+
+            /**
+             * Converts this Message to JSON.
+             * @function toJSON
+             * @memberof textsecure.UnidentifiedSenderMessage.Message
+             * @instance
+             * @returns {Object.<string,*>} JSON object
+             */
+            Message.prototype.toJSON = function toJSON() {
+                return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+            };
+
+            return Message;
+        })();
+
+        return UnidentifiedSenderMessage;
+    })();
+
     return textsecure;
 })();
 
@@ -19,6 +19,14 @@ const PROTOCOL_CONSTANTS = {
         SALT: 32
     },
     
+    // ML-KEM-1024 (Kyber) keys
+    KYBER: {
+        KEY_TYPE: 0x08,                 // Type byte in front of public keys
+        PUBLIC_KEY: 1569,
+        PRIVATE_KEY: 3168,
+        CIPHERTEXT: 1568
+    },
+    
     // Bit operations
     BITS: {
         TUPLE_MASK: 0xf,
@@ -44,7 +52,26 @@ const PROTOCOL_CONSTANTS = {
     // Session limits
     SESSION: {
         MAX_OLD_SESSIONS: 40,
-        MAX_MESSAGE_KEYS: 2000
+        MAX_MESSAGE_KEYS: 2000,          // Skipped message keys per chain
+        MAX_FORWARD_GAP: 2000,
+        MAX_SESSION_MESSAGE_KEYS: 10000,
+        MAX_RECEIVER_CHAINS: 5,
+        MAX_MESSAGE_KEY_AGE: 30 * 24 * 3600 * 1000,  // Skipped message keys, in ms
+        MAX_UNACKNOWLEDGED_SESSION_AGE: 30 * 24 * 3600 * 1000,  // Pending prekey sessions, in ms
+        MAX_USED_COUNTER_RANGES: 100
+    },
+    
+    // Sender key (group) limits
+    SENDER_KEY: {
+        MAX_STATES: 5,                  // Sender key states kept per sender
+        MAX_MESSAGE_KEYS: 2000,         // Skipped message keys per state
+        MAX_FORWARD_GAP: 2000
+    },
+    
+    // Sealed sender envelopes
+    SEALED_SENDER: {
+        VERSION: 1,
+        MAC_LENGTH: 10                  // Truncated HMAC-SHA256
     },
     
     // Error retry limits
@@ -57,10 +84,13 @@ const PROTOCOL_CONSTANTS = {
 // Freeze the object to prevent modifications
 Object.freeze(PROTOCOL_CONSTANTS);
 Object.freeze(PROTOCOL_CONSTANTS.KEY_SIZES);
+Object.freeze(PROTOCOL_CONSTANTS.KYBER);
 Object.freeze(PROTOCOL_CONSTANTS.BITS);
 Object.freeze(PROTOCOL_CONSTANTS.CRYPTO);
 Object.freeze(PROTOCOL_CONSTANTS.MESSAGE_KEYS);
 Object.freeze(PROTOCOL_CONSTANTS.SESSION);
+Object.freeze(PROTOCOL_CONSTANTS.SENDER_KEY);
+Object.freeze(PROTOCOL_CONSTANTS.SEALED_SENDER);
 Object.freeze(PROTOCOL_CONSTANTS.RETRY);
 
 module.exports = PROTOCOL_CONSTANTS;
@@ -0,0 +1,6 @@
+const Direction = {
+    SENDING: 1,
+    RECEIVING: 2
+};
+
+module.exports = Direction;
@@ -18,6 +18,13 @@ exports.SessionError = class SessionError extends exports.SignalError {
     }
 };
 
+exports.NoSessionError = class NoSessionError extends exports.SessionError {
+    constructor(message) {
+        super(message);
+        this.name = 'NoSessionError';
+    }
+};
+
 exports.MessageCounterError = class MessageCounterError extends exports.SessionError {
     constructor(message) {
         super(message);
@@ -25,9 +32,94 @@ exports.MessageCounterError = class MessageCounterError extends exports.SessionE
     }
 };
 
+exports.DuplicateMessageError = class DuplicateMessageError extends exports.MessageCounterError {
+    constructor(counter, ratchetKey) {
+        super(`Message ${counter} was already decrypted`);
+        this.name = 'DuplicateMessageError';
+        this.counter = counter;
+        this.ratchetKey = ratchetKey;
+    }
+};
+
+exports.UnknownMessageTypeError = class UnknownMessageTypeError extends exports.SignalError {
+    constructor(type) {
+        super(`Unknown message type: ${type}`);
+        this.name = 'UnknownMessageTypeError';
+        this.type = type;
+    }
+};
+
+exports.PaddingError = class PaddingError extends exports.SignalError {
+    constructor(message) {
+        super(message);
+        this.name = 'PaddingError';
+    }
+};
+
+exports.LegacyMessageError = class LegacyMessageError extends exports.SignalError {
+    constructor(version) {
+        super(`Legacy protocol version: ${version}`);
+        this.name = 'LegacyMessageError';
+        this.version = version;
+    }
+};
+
+exports.UnsupportedVersionError = class UnsupportedVersionError extends exports.SignalError {
+    constructor(version) {
+        super(`Unsupported protocol version: ${version}`);
+        this.name = 'UnsupportedVersionError';
+        this.version = version;
+    }
+};
+
+exports.InvalidCertificateError = class InvalidCertificateError extends exports.SignalError {
+    constructor(message) {
+        super(message);
+        this.name = 'InvalidCertificateError';
+    }
+};
+
+exports.SealedSenderError = class SealedSenderError extends exports.SignalError {
+    constructor(message) {
+        super(message);
+        this.name = 'SealedSenderError';
+    }
+};
+
 exports.PreKeyError = class PreKeyError extends exports.SessionError {
     constructor(message) {
         super(message);
         this.name = 'PreKeyError';
     }
 };
+
+exports.KeyExchangeError = class KeyExchangeError extends exports.SessionError {
+    constructor(message) {
+        super(message);
+        this.name = 'KeyExchangeError';
+    }
+};
+
+exports.StorageError = class StorageError extends exports.SignalError {
+    constructor(method, message) {
+        super(`${method}: ${message}`);
+        this.name = 'StorageError';
+        this.method = method;
+    }
+};
+
+exports.StorageIntegrityError = class StorageIntegrityError extends exports.SignalError {
+    constructor(context, message) {
+        super(`${context}: ${message}`);
+        this.name = 'StorageIntegrityError';
+        this.context = context;
+    }
+};
+
+exports.SessionMigrationError = class SessionMigrationError extends exports.SignalError {
+    constructor(version, message) {
+        super(`${version}: ${message}`);
+        this.name = 'SessionMigrationError';
+        this.version = version;
+    }
+};
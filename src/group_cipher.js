@@ -0,0 +1,160 @@
+// vim: ts=4:sw=4:expandtab
+'use strict';
+
+const CONSTANTS = require('./constants/protocol_constants');
+const SenderKeyName = require('./sender_key_name');
+const SenderKeyStorageAdapter = require('./storage/sender_key_storage_adapter');
+const crypto = require('./crypto');
+const curve = require('./curve');
+const errors = require('./errors');
+const protobufs = require('./protobufs');
+const queueJob = require('./queue_job');
+
+const VERSION_BYTE = (CONSTANTS.VERSION << CONSTANTS.BITS.TUPLE_SHIFT) | CONSTANTS.VERSION;
+const SIGNATURE_LENGTH = 64;
+
+/**
+ * Encrypts and decrypts group messages with sender keys.
+ *
+ * Each message is encrypted once with a key from the sender's chain, which
+ * moves forward after every message, and signed with the sender's signing
+ * key.  The sender key has to be set up with GroupSessionBuilder first.
+ */
+class GroupCipher {
+
+    /**
+     * @param {Object} storage - Storage object (see SenderKeyStorageAdapter)
+     * @param {SenderKeyName} senderKeyName - Group and the sender's address
+     */
+    constructor(storage, senderKeyName) {
+        if (!(senderKeyName instanceof SenderKeyName)) {
+            throw new TypeError('senderKeyName must be a SenderKeyName');
+        }
+        this.storage = SenderKeyStorageAdapter.wrap(storage);
+        this.senderKeyName = senderKeyName;
+    }
+
+    toString() {
+        return `<GroupCipher(${this.senderKeyName.toString()})>`;
+    }
+
+    /**
+     * @param {Buffer} data - Plaintext
+     * @returns {Promise<Buffer>} Encoded SenderKeyMessage
+     */
+    async encrypt(data) {
+        assertBuffer(data);
+        return await this.queueJob(async () => {
+            const record = await this.storage.loadSenderKey(this.senderKeyName);
+            const state = record && record.getState();
+            if (!state) {
+                throw new errors.SessionError('No sender key');
+            }
+            if (!state.signingKey.privKey) {
+                throw new errors.SessionError('Sender key belongs to another sender');
+            }
+            const keys = messageKeys(chainStep(state.chainKey.key).seed);
+            const message = protobufs.SenderKeyMessage.encode({
+                id: state.keyId,
+                iteration: state.chainKey.iteration,
+                ciphertext: crypto.encrypt(keys.cipherKey, data, keys.iv)
+            }).finish();
+            const body = Buffer.concat([Buffer.from([VERSION_BYTE]), message]);
+            const signature = curve.calculateSignature(state.signingKey.privKey, body);
+            advance(state);
+            await this.storage.storeSenderKey(this.senderKeyName, record);
+            return Buffer.concat([body, signature]);
+        });
+    }
+
+    /**
+     * @param {Buffer} data - Encoded SenderKeyMessage
+     * @returns {Promise<Buffer>} Plaintext
+     */
+    async decrypt(data) {
+        assertBuffer(data);
+        if (data.length <= SIGNATURE_LENGTH + 1) {
+            throw new errors.SessionError('SenderKeyMessage too short');
+        }
+        const version = data[0] >> CONSTANTS.BITS.TUPLE_SHIFT;
+        if (version !== CONSTANTS.VERSION) {
+            throw version < CONSTANTS.VERSION ? new errors.LegacyMessageError(version) :
+                                                new errors.UnsupportedVersionError(version);
+        }
+        const body = data.slice(0, -SIGNATURE_LENGTH);
+        const message = protobufs.SenderKeyMessage.decode(body.slice(1));
+        return await this.queueJob(async () => {
+            const record = await this.storage.loadSenderKey(this.senderKeyName);
+            const state = record && record.getState(message.id);
+            if (!state) {
+                throw new errors.SessionError(`No sender key for key id ${message.id}`);
+            }
+            if (!curve.verifySignature(state.signingKey.pubKey, body, data.slice(-SIGNATURE_LENGTH))) {
+                throw new errors.SessionError('Invalid SenderKeyMessage signature');
+            }
+            const keys = messageKeys(messageKeySeed(state, message.iteration));
+            const plaintext = crypto.decrypt(keys.cipherKey, Buffer.from(message.ciphertext), keys.iv);
+            await this.storage.storeSenderKey(this.senderKeyName, record);
+            return plaintext;
+        });
+    }
+
+    async queueJob(awaitable) {
+        return await queueJob(this.senderKeyName.toString(), awaitable);
+    }
+}
+
+/**
+ * Seed of the message key at iteration, moving the chain past it and keeping
+ * the keys of skipped iterations
+ */
+function messageKeySeed(state, iteration) {
+    const chainKey = state.chainKey;
+    if (iteration < chainKey.iteration) {
+        const seed = state.removeMessageKey(iteration);
+        if (!seed) {
+            throw new errors.MessageCounterError(`Message ${iteration} was already decrypted or is too old`);
+        }
+        return seed;
+    }
+    if (iteration - chainKey.iteration > CONSTANTS.SENDER_KEY.MAX_FORWARD_GAP) {
+        throw new errors.MessageCounterError(
+            `Over ${CONSTANTS.SENDER_KEY.MAX_FORWARD_GAP} messages into the future!`);
+    }
+    while (chainKey.iteration < iteration) {
+        state.addMessageKey(chainKey.iteration, chainStep(chainKey.key).seed);
+        advance(state);
+    }
+    const seed = chainStep(chainKey.key).seed;
+    advance(state);
+    return seed;
+}
+
+function chainStep(key) {
+    return {
+        seed: crypto.calculateMAC(key, Buffer.from([1])),
+        next: crypto.calculateMAC(key, Buffer.from([2]))
+    };
+}
+
+function advance(state) {
+    state.chainKey.key = chainStep(state.chainKey.key).next;
+    state.chainKey.iteration++;
+}
+
+function messageKeys(seed) {
+    const derived = Buffer.concat(crypto.deriveSecrets(seed, Buffer.alloc(32),
+                                                       Buffer.from('WhisperGroup'), 2));
+    return {
+        iv: derived.slice(0, 16),
+        cipherKey: derived.slice(16, 48)
+    };
+}
+
+function assertBuffer(value) {
+    if (!Buffer.isBuffer(value)) {
+        throw new TypeError('Buffer required');
+    }
+}
+
+module.exports = GroupCipher;
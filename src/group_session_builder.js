@@ -0,0 +1,102 @@
+// vim: ts=4:sw=4:expandtab
+'use strict';
+
+const nodeCrypto = require('crypto');
+const CONSTANTS = require('./constants/protocol_constants');
+const SenderKeyName = require('./sender_key_name');
+const SenderKeyRecord = require('./sender_key_record');
+const SenderKeyStorageAdapter = require('./storage/sender_key_storage_adapter');
+const curve = require('./curve');
+const errors = require('./errors');
+const protobufs = require('./protobufs');
+const queueJob = require('./queue_job');
+
+const VERSION_BYTE = (CONSTANTS.VERSION << CONSTANTS.BITS.TUPLE_SHIFT) | CONSTANTS.VERSION;
+
+/**
+ * Sets up sender keys for group messaging.
+ *
+ * A sender creates its sender key for a group once and hands the returned
+ * SenderKeyDistributionMessage to every member, encrypted over the pairwise
+ * SessionCipher session with each of their devices.  Members process it, and
+ * from then on decrypt the sender's group messages with a GroupCipher.
+ */
+class GroupSessionBuilder {
+
+    /**
+     * @param {Object} storage - Storage object (see SenderKeyStorageAdapter)
+     */
+    constructor(storage) {
+        this.storage = SenderKeyStorageAdapter.wrap(storage);
+    }
+
+    /**
+     * Get our SenderKeyDistributionMessage for a group, creating the sender
+     * key on first use
+     * @param {SenderKeyName} senderKeyName - Group and our own address
+     * @returns {Promise<Buffer>} Encoded SenderKeyDistributionMessage
+     */
+    async create(senderKeyName) {
+        assertSenderKeyName(senderKeyName);
+        return await queueJob(senderKeyName.toString(), async () => {
+            let record = await this.storage.loadSenderKey(senderKeyName);
+            if (!record || record.isEmpty()) {
+                record = new SenderKeyRecord();
+                const signingKey = curve.generateKeyPair();
+                record.addState(nodeCrypto.randomBytes(4).readUInt32BE() & 0x7fffffff, 0,
+                                nodeCrypto.randomBytes(32), signingKey.pubKey, signingKey.privKey);
+                await this.storage.storeSenderKey(senderKeyName, record);
+            }
+            const state = record.getState();
+            const message = protobufs.SenderKeyDistributionMessage.encode({
+                id: state.keyId,
+                iteration: state.chainKey.iteration,
+                chainKey: state.chainKey.key,
+                signingKey: state.signingKey.pubKey
+            }).finish();
+            return Buffer.concat([Buffer.from([VERSION_BYTE]), message]);
+        });
+    }
+
+    /**
+     * Store the sender key from a member's SenderKeyDistributionMessage.  A
+     * message for a sender key we already have is ignored, so processing it
+     * again can't rewind the chain.
+     * @param {SenderKeyName} senderKeyName - Group and the sender's address
+     * @param {Buffer} data - Encoded SenderKeyDistributionMessage
+     */
+    async process(senderKeyName, data) {
+        assertSenderKeyName(senderKeyName);
+        if (!Buffer.isBuffer(data) || !data.length) {
+            throw new TypeError('SenderKeyDistributionMessage must be a Buffer');
+        }
+        const version = data[0] >> CONSTANTS.BITS.TUPLE_SHIFT;
+        if (version !== CONSTANTS.VERSION) {
+            throw version < CONSTANTS.VERSION ? new errors.LegacyMessageError(version) :
+                                                new errors.UnsupportedVersionError(version);
+        }
+        const message = protobufs.SenderKeyDistributionMessage.decode(data.slice(1));
+        if (!message.chainKey.length || !message.signingKey.length) {
+            throw new errors.SessionError('Incomplete SenderKeyDistributionMessage');
+        }
+        const signingKey = Buffer.from(message.signingKey);
+        await queueJob(senderKeyName.toString(), async () => {
+            const record = await this.storage.loadSenderKey(senderKeyName) || new SenderKeyRecord();
+            const state = record.getState(message.id);
+            if (state && state.signingKey.pubKey.equals(signingKey)) {
+                return;
+            }
+            record.addState(message.id, message.iteration, Buffer.from(message.chainKey),
+                            signingKey);
+            await this.storage.storeSenderKey(senderKeyName, record);
+        });
+    }
+}
+
+function assertSenderKeyName(senderKeyName) {
+    if (!(senderKeyName instanceof SenderKeyName)) {
+        throw new TypeError('senderKeyName must be a SenderKeyName');
+    }
+}
+
+module.exports = GroupSessionBuilder;
@@ -0,0 +1,63 @@
+// vim: ts=4:sw=4:expandtab
+'use strict';
+
+const CONSTANTS = require('./constants/protocol_constants');
+const {ml_kem1024} = require('@noble/post-quantum/ml-kem');
+
+const KYBER = CONSTANTS.KYBER;
+
+/**
+ * ML-KEM-1024 key encapsulation for PQXDH prekeys.  Public keys carry a type
+ * byte in front, like the 0x05 of curve keys.
+ */
+
+function assertBuffer(value, length, name) {
+    if (!Buffer.isBuffer(value)) {
+        throw new TypeError(`${name} must be a Buffer`);
+    }
+    if (value.byteLength !== length) {
+        throw new TypeError(`${name} must be ${length} bytes, got: ${value.byteLength}`);
+    }
+}
+
+function assertPublicKey(pubKey) {
+    assertBuffer(pubKey, KYBER.PUBLIC_KEY, 'Kyber public key');
+    if (pubKey[0] !== KYBER.KEY_TYPE) {
+        throw new TypeError(`Unknown Kyber public key type: ${pubKey[0]}`);
+    }
+}
+
+exports.assertPublicKey = assertPublicKey;
+
+exports.generateKeyPair = function() {
+    const keys = ml_kem1024.keygen();
+    return {
+        pubKey: Buffer.concat([Buffer.from([KYBER.KEY_TYPE]), keys.publicKey]),
+        privKey: Buffer.from(keys.secretKey)
+    };
+};
+
+/**
+ * @param {Buffer} pubKey - Kyber public key
+ * @returns {Object} `ciphertext` to send to the owner of pubKey, and the
+ *          `sharedSecret` it decapsulates to
+ */
+exports.encapsulate = function(pubKey) {
+    assertPublicKey(pubKey);
+    const {cipherText, sharedSecret} = ml_kem1024.encapsulate(pubKey.subarray(1));
+    return {
+        ciphertext: Buffer.from(cipherText),
+        sharedSecret: Buffer.from(sharedSecret)
+    };
+};
+
+/**
+ * @param {Buffer} ciphertext - Output of encapsulate
+ * @param {Buffer} privKey - Kyber private key
+ * @returns {Buffer} Shared secret
+ */
+exports.decapsulate = function(ciphertext, privKey) {
+    assertBuffer(ciphertext, KYBER.CIPHERTEXT, 'Kyber ciphertext');
+    assertBuffer(privKey, KYBER.PRIVATE_KEY, 'Kyber private key');
+    return Buffer.from(ml_kem1024.decapsulate(ciphertext, privKey));
+};
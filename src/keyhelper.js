@@ -1,6 +1,7 @@
 // vim: ts=4:sw=4:expandtab
 
 const curve = require('./curve');
+const kem = require('./kem');
 const nodeCrypto = require('crypto');
 
 function isNonNegativeInteger(n) {
@@ -14,13 +15,17 @@ exports.generateRegistrationId = function() {
     return registrationId & 0x3fff;
 };
 
-exports.generateSignedPreKey = function(identityKeyPair, signedKeyId) {
+function assertIdentityKeyPair(identityKeyPair) {
     if (!(identityKeyPair.privKey instanceof Buffer) ||
         identityKeyPair.privKey.byteLength != 32 ||
         !(identityKeyPair.pubKey instanceof Buffer) ||
         identityKeyPair.pubKey.byteLength != 33) {
         throw new TypeError('Invalid argument for identityKeyPair');
     }
+}
+
+exports.generateSignedPreKey = function(identityKeyPair, signedKeyId) {
+    assertIdentityKeyPair(identityKeyPair);
     if (!isNonNegativeInteger(signedKeyId)) {
         throw new TypeError('Invalid argument for signedKeyId: ' + signedKeyId);
     }
@@ -33,6 +38,23 @@ exports.generateSignedPreKey = function(identityKeyPair, signedKeyId) {
     };
 };
 
+/**
+ * ML-KEM-1024 prekey for PQXDH, signed by our identity key like a signed
+ * prekey
+ */
+exports.generateKyberPreKey = function(identityKeyPair, keyId) {
+    assertIdentityKeyPair(identityKeyPair);
+    if (!isNonNegativeInteger(keyId)) {
+        throw new TypeError('Invalid argument for keyId: ' + keyId);
+    }
+    const keyPair = kem.generateKeyPair();
+    return {
+        keyId,
+        keyPair,
+        signature: curve.calculateSignature(identityKeyPair.privKey, keyPair.pubKey)
+    };
+};
+
 exports.generatePreKey = function(keyId) {
     if (!isNonNegativeInteger(keyId)) {
         throw new TypeError('Invalid argument for keyId: ' + keyId);
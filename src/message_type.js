@@ -0,0 +1,6 @@
+const MessageType = {
+    WHISPER: 1,
+    PREKEY_WHISPER: 3
+};
+
+module.exports = MessageType;
@@ -14,7 +14,7 @@ const protobufs = require('../protobufs');
 class KeyExchangeMessage extends BaseMessage {
     
     constructor(id = null, baseKey = null, ephemeralKey = null, 
-                identityKey = null, baseKeySignature = null) {
+                identityKey = null, baseKeySignature = null, flags = null) {
         super();
         
         this._id = null;
@@ -22,12 +22,14 @@ class KeyExchangeMessage extends BaseMessage {
         this._ephemeralKey = null;
         this._identityKey = null;
         this._baseKeySignature = null;
+        this._flags = null;
         
         if (id !== null) this.id = id;
         if (baseKey !== null) this.baseKey = baseKey;
         if (ephemeralKey !== null) this.ephemeralKey = ephemeralKey;
         if (identityKey !== null) this.identityKey = identityKey;
         if (baseKeySignature !== null) this.baseKeySignature = baseKeySignature;
+        if (flags !== null) this.flags = flags;
     }
     
     /**
@@ -105,6 +107,29 @@ class KeyExchangeMessage extends BaseMessage {
         this._invalidateCache();
     }
     
+    /**
+     * Flags getter/setter, INITIATE_FLAG or RESPONSE_FLAG
+     */
+    get flags() {
+        return this._flags;
+    }
+    
+    set flags(value) {
+        if (value !== null) {
+            ValidationUtils.assertNonNegativeInteger(value, 'flags');
+        }
+        this._flags = value;
+        this._invalidateCache();
+    }
+    
+    /**
+     * Check if this message starts a key exchange
+     * @returns {boolean} True if the initiate flag is set
+     */
+    isInitiate() {
+        return this._flags === KeyExchangeMessage.INITIATE_FLAG;
+    }
+    
     /**
      * Invalidate cached data when properties change
      * @private
@@ -139,6 +164,11 @@ class KeyExchangeMessage extends BaseMessage {
             throw new Error('KeyExchangeMessage: baseKeySignature is required');
         }
         
+        if (this._flags !== KeyExchangeMessage.INITIATE_FLAG &&
+            this._flags !== KeyExchangeMessage.RESPONSE_FLAG) {
+            throw new Error('KeyExchangeMessage: flags must be INITIATE_FLAG or RESPONSE_FLAG');
+        }
+        
         this._isValid = true;
     }
     
@@ -159,7 +189,8 @@ class KeyExchangeMessage extends BaseMessage {
             baseKey: this._baseKey,
             ephemeralKey: this._ephemeralKey,
             identityKey: this._identityKey,
-            baseKeySignature: this._baseKeySignature
+            baseKeySignature: this._baseKeySignature,
+            flags: this._flags
         });
         
         this._serializedData = Buffer.from(protobufs.KeyExchangeMessage.encode(msg).finish());
@@ -198,7 +229,8 @@ class KeyExchangeMessage extends BaseMessage {
                 decoded.baseKey ? Buffer.from(decoded.baseKey) : null,
                 decoded.ephemeralKey ? Buffer.from(decoded.ephemeralKey) : null,
                 decoded.identityKey ? Buffer.from(decoded.identityKey) : null,
-                decoded.baseKeySignature ? Buffer.from(decoded.baseKeySignature) : null
+                decoded.baseKeySignature ? Buffer.from(decoded.baseKeySignature) : null,
+                decoded.hasOwnProperty('flags') ? decoded.flags : null
             );
             
             message.validate();
@@ -243,7 +275,8 @@ class KeyExchangeMessage extends BaseMessage {
             ourKeys.baseKey.pubKey,
             ourKeys.ephemeralKey.pubKey,
             ourKeys.identityKey.pubKey,
-            signature
+            signature,
+            KeyExchangeMessage.RESPONSE_FLAG
         );
     }
     
@@ -257,7 +290,8 @@ class KeyExchangeMessage extends BaseMessage {
             this._baseKey ? Buffer.from(this._baseKey) : null,
             this._ephemeralKey ? Buffer.from(this._ephemeralKey) : null,
             this._identityKey ? Buffer.from(this._identityKey) : null,
-            this._baseKeySignature ? Buffer.from(this._baseKeySignature) : null
+            this._baseKeySignature ? Buffer.from(this._baseKeySignature) : null,
+            this._flags
         );
         
         return cloned;
@@ -270,6 +304,7 @@ class KeyExchangeMessage extends BaseMessage {
     toString() {
         return `<KeyExchangeMessage(` +
                `id=${this._id}, ` +
+               `flags=${this._flags}, ` +
                `baseKey=${this._baseKey ? this._baseKey.toString('hex').slice(0, 8) + '...' : 'null'}, ` +
                `ephemeralKey=${this._ephemeralKey ? this._ephemeralKey.toString('hex').slice(0, 8) + '...' : 'null'}, ` +
                `identityKey=${this._identityKey ? this._identityKey.toString('hex').slice(0, 8) + '...' : 'null'}, ` +
@@ -278,4 +313,9 @@ class KeyExchangeMessage extends BaseMessage {
     }
 }
 
+/** Set on the message that starts a key exchange */
+KeyExchangeMessage.INITIATE_FLAG = 0x01;
+/** Set on the answer to an initiate message */
+KeyExchangeMessage.RESPONSE_FLAG = 0x02;
+
 module.exports = KeyExchangeMessage;
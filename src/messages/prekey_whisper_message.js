@@ -15,7 +15,8 @@ const protobufs = require('../protobufs');
 class PreKeyWhisperMessage extends BaseMessage {
     
     constructor(registrationId = null, preKeyId = null, signedPreKeyId = null, 
-                baseKey = null, identityKey = null, message = null) {
+                baseKey = null, identityKey = null, message = null,
+                kyberPreKeyId = null, kyberCiphertext = null) {
         super();
         
         this._registrationId = null;
@@ -24,6 +25,8 @@ class PreKeyWhisperMessage extends BaseMessage {
         this._baseKey = null;
         this._identityKey = null;
         this._message = null; // WhisperMessage instance or Buffer
+        this._kyberPreKeyId = null;
+        this._kyberCiphertext = null;
         this._mac = null;
         
         if (registrationId !== null) this.registrationId = registrationId;
@@ -32,6 +35,8 @@ class PreKeyWhisperMessage extends BaseMessage {
         if (baseKey !== null) this.baseKey = baseKey;
         if (identityKey !== null) this.identityKey = identityKey;
         if (message !== null) this.message = message;
+        if (kyberPreKeyId !== null) this.kyberPreKeyId = kyberPreKeyId;
+        if (kyberCiphertext !== null) this.kyberCiphertext = kyberCiphertext;
     }
     
     /**
@@ -131,6 +136,36 @@ class PreKeyWhisperMessage extends BaseMessage {
         this._invalidateCache();
     }
     
+    /**
+     * Kyber prekey ID getter/setter, set for PQXDH sessions only
+     */
+    get kyberPreKeyId() {
+        return this._kyberPreKeyId;
+    }
+    
+    set kyberPreKeyId(value) {
+        if (value !== null) {
+            ValidationUtils.assertNonNegativeInteger(value, 'kyberPreKeyId');
+        }
+        this._kyberPreKeyId = value;
+        this._invalidateCache();
+    }
+    
+    /**
+     * Kyber ciphertext getter/setter, set for PQXDH sessions only
+     */
+    get kyberCiphertext() {
+        return this._kyberCiphertext;
+    }
+    
+    set kyberCiphertext(value) {
+        if (value !== null) {
+            ValidationUtils.assertBufferLength(value, CONSTANTS.KYBER.CIPHERTEXT, 'kyberCiphertext');
+        }
+        this._kyberCiphertext = value;
+        this._invalidateCache();
+    }
+    
     /**
      * MAC getter/setter
      */
@@ -202,6 +237,10 @@ class PreKeyWhisperMessage extends BaseMessage {
             this._message.validate();
         }
         
+        if ((this._kyberPreKeyId === null) !== (this._kyberCiphertext === null)) {
+            throw new Error('PreKeyWhisperMessage: kyberPreKeyId and kyberCiphertext go together');
+        }
+        
         this._isValid = true;
     }
     
@@ -232,6 +271,10 @@ class PreKeyWhisperMessage extends BaseMessage {
             identityKey: this._identityKey,
             message: messageBuffer
         });
+        if (this._kyberCiphertext) {
+            msg.kyberPreKeyId = this._kyberPreKeyId;
+            msg.kyberCiphertext = this._kyberCiphertext;
+        }
         
         this._serializedData = Buffer.from(protobufs.PreKeyWhisperMessage.encode(msg).finish());
         return this._serializedData;
@@ -297,8 +340,15 @@ class PreKeyWhisperMessage extends BaseMessage {
                 decoded.identityKey ? Buffer.from(decoded.identityKey) : null,
                 decoded.message ? Buffer.from(decoded.message) : null
             );
+            if (decoded.kyberCiphertext && decoded.kyberCiphertext.length) {
+                message.kyberPreKeyId = decoded.kyberPreKeyId;
+                message.kyberCiphertext = Buffer.from(decoded.kyberCiphertext);
+            }
             
             message.validate();
+            // Keep the original encoding, re-encoding would drop fields
+            // this class doesn't know about and break the MAC.
+            message._serializedData = Buffer.from(buffer);
             return message;
         } catch (error) {
             throw new Error(`Failed to deserialize PreKeyWhisperMessage: ${error.message}`);
@@ -347,7 +397,9 @@ class PreKeyWhisperMessage extends BaseMessage {
             this._signedPreKeyId,
             this._baseKey ? Buffer.from(this._baseKey) : null,
             this._identityKey ? Buffer.from(this._identityKey) : null,
-            clonedMessage
+            clonedMessage,
+            this._kyberPreKeyId,
+            this._kyberCiphertext ? Buffer.from(this._kyberCiphertext) : null
         );
         
         if (this._mac) {
@@ -368,6 +420,7 @@ class PreKeyWhisperMessage extends BaseMessage {
                `signedPreKeyId=${this._signedPreKeyId}, ` +
                `baseKey=${this._baseKey ? this._baseKey.toString('hex').slice(0, 8) + '...' : 'null'}, ` +
                `identityKey=${this._identityKey ? this._identityKey.toString('hex').slice(0, 8) + '...' : 'null'}, ` +
+               `kyberPreKeyId=${this._kyberPreKeyId}, ` +
                `valid=${this._isValid}` +
                `)>`;
     }
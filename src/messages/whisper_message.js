@@ -221,6 +221,9 @@ class WhisperMessage extends BaseMessage {
             );
             
             message.validate();
+            // Keep the original encoding, re-encoding would drop fields
+            // this class doesn't know about and break the MAC.
+            message._serializedData = Buffer.from(buffer);
             return message;
         } catch (error) {
             throw new Error(`Failed to deserialize WhisperMessage: ${error.message}`);
@@ -0,0 +1,87 @@
+// vim: ts=4:sw=4:expandtab
+'use strict';
+
+const errors = require('./errors');
+
+/**
+ * Plaintext padding as used by Signal clients: the plaintext is followed by a
+ * 0x80 byte and zeros up to a bucket size, so the ciphertext length only
+ * reveals the bucket.
+ */
+
+const TERMINATOR = 0x80;
+
+/**
+ * Signal's default, multiples of 160 bytes.
+ */
+const DEFAULT_BUCKETS = Object.freeze([160]);
+
+/**
+ * @param {number[]} buckets - Ascending padded sizes; lengths over the last
+ *        one are padded to a multiple of it
+ * @param {number} length - Plaintext length plus terminator
+ * @returns {number} Padded length
+ */
+function paddedLength(buckets, length) {
+    for (const size of buckets) {
+        if (length <= size) {
+            return size;
+        }
+    }
+    const last = buckets[buckets.length - 1];
+    return Math.ceil(length / last) * last;
+}
+
+/**
+ * @param {*} buckets - Value to check
+ * @throws {TypeError} Unless buckets is a non-empty ascending array of
+ *         positive integers
+ */
+function assertBuckets(buckets) {
+    if (!Array.isArray(buckets) || !buckets.length ||
+        !buckets.every((size, i) => Number.isInteger(size) && size > 0 &&
+                                    (i === 0 || size > buckets[i - 1]))) {
+        throw new TypeError('padding buckets must be ascending positive integers');
+    }
+}
+
+/**
+ * @param {Buffer} plaintext
+ * @param {number[]} [buckets=DEFAULT_BUCKETS]
+ * @returns {Buffer} Padded plaintext
+ */
+function pad(plaintext, buckets = DEFAULT_BUCKETS) {
+    const padded = Buffer.alloc(paddedLength(buckets, plaintext.length + 1));
+    plaintext.copy(padded);
+    padded[plaintext.length] = TERMINATOR;
+    return padded;
+}
+
+/**
+ * Strip the padding added by pad() with the same buckets
+ * @param {Buffer} padded
+ * @param {number[]} [buckets=DEFAULT_BUCKETS]
+ * @returns {Buffer} Plaintext
+ * @throws {PaddingError} If padded doesn't end in a terminator followed by
+ *         zeros, or isn't the size pad() would have produced
+ */
+function unpad(padded, buckets = DEFAULT_BUCKETS) {
+    let end = padded.length - 1;
+    while (end >= 0 && padded[end] === 0) {
+        end--;
+    }
+    if (end < 0 || padded[end] !== TERMINATOR) {
+        throw new errors.PaddingError('Missing padding terminator');
+    }
+    if (padded.length !== paddedLength(buckets, end + 1)) {
+        throw new errors.PaddingError(`Unexpected padded length ${padded.length}`);
+    }
+    return padded.slice(0, end);
+}
+
+module.exports = {
+    DEFAULT_BUCKETS,
+    assertBuckets,
+    pad,
+    unpad
+};
@@ -3,8 +3,23 @@
 const {
     textsecure: {
         WhisperMessage,
-        PreKeyWhisperMessage
+        PreKeyWhisperMessage,
+        KeyExchangeMessage,
+        SenderKeyMessage,
+        SenderKeyDistributionMessage,
+        ServerCertificate,
+        SenderCertificate,
+        UnidentifiedSenderMessage
     }
 } = require('./WhisperTextProtocol.js');
 
-module.exports = { WhisperMessage, PreKeyWhisperMessage };
\ No newline at end of file
+module.exports = {
+    WhisperMessage,
+    PreKeyWhisperMessage,
+    KeyExchangeMessage,
+    SenderKeyMessage,
+    SenderKeyDistributionMessage,
+    ServerCertificate,
+    SenderCertificate,
+    UnidentifiedSenderMessage
+};
\ No newline at end of file
@@ -0,0 +1,93 @@
+// vim: ts=4:sw=4:expandtab
+'use strict';
+
+const errors = require('./errors');
+
+/**
+ * Session protocol versions and the rules that differ between them.
+ *
+ * A session keeps the version it was set up with: 4 for PQXDH sessions and 3
+ * otherwise.  The first byte of every WhisperMessage and PreKeyWhisperMessage
+ * advertises the range of versions the sender supports, the highest in the
+ * high nibble and the lowest in the low one.  The MAC covers the session
+ * version instead, in both nibbles, so version 3 messages still verify with
+ * releases that only know version 3.
+ */
+const RULES = {
+    3: {
+        rootKeyInfo: 'WhisperText',
+        ratchetInfo: 'WhisperRatchet',
+        messageKeysInfo: 'WhisperMessageKeys'
+    },
+    4: {
+        rootKeyInfo: 'WhisperText_X25519_SHA-256_CRYSTALS-KYBER-1024',
+        ratchetInfo: 'WhisperRatchet',
+        messageKeysInfo: 'WhisperMessageKeys'
+    }
+};
+
+const MIN_VERSION = 3;
+const MAX_VERSION = 4;
+const X3DH_VERSION = 3;
+const PQXDH_VERSION = 4;
+
+function encodeTuple(high, low) {
+    if (high > 15 || low > 15) {
+        throw new TypeError('Numbers must be 4 bits or less');
+    }
+    return (high << 4) | low;
+}
+
+/**
+ * @param {number} version - Session version
+ * @returns {Object} KDF info strings of the version
+ * @throws {LegacyMessageError|UnsupportedVersionError} For unknown versions
+ */
+function rules(version) {
+    if (version < MIN_VERSION) {
+        throw new errors.LegacyMessageError(version);
+    }
+    if (!RULES.hasOwnProperty(version)) {
+        throw new errors.UnsupportedVersionError(version);
+    }
+    return RULES[version];
+}
+
+/**
+ * Check the version range advertised by the first byte of a message
+ * @param {number} byte - First byte of the message
+ * @returns {Object} The sender's `{min, max}` versions
+ * @throws {LegacyMessageError} If the sender only speaks older versions
+ * @throws {UnsupportedVersionError} If it only speaks newer versions
+ */
+function decodeRange(byte) {
+    const range = {max: byte >> 4, min: byte & 0xf};
+    if (range.max < MIN_VERSION) {
+        throw new errors.LegacyMessageError(range.max);
+    }
+    if (range.min > MAX_VERSION) {
+        throw new errors.UnsupportedVersionError(range.min);
+    }
+    return range;
+}
+
+/**
+ * @throws {UnsupportedVersionError} If the sender's range lacks version
+ */
+function assertInRange(version, range) {
+    if (version < range.min || version > range.max) {
+        throw new errors.UnsupportedVersionError(version);
+    }
+}
+
+module.exports = {
+    MIN_VERSION,
+    MAX_VERSION,
+    X3DH_VERSION,
+    PQXDH_VERSION,
+    RANGE_BYTE: encodeTuple(MAX_VERSION, MIN_VERSION),
+    rules,
+    decodeRange,
+    assertInRange,
+    macByte: version => encodeTuple(version, version)
+};
@@ -0,0 +1,190 @@
+// vim: ts=4:sw=4:expandtab
+'use strict';
+
+const CONSTANTS = require('./constants/protocol_constants');
+const MessageType = require('./message_type');
+const SenderCertificate = require('./sender_certificate');
+const SessionCipher = require('./session_cipher');
+const StorageAdapter = require('./storage/storage_adapter');
+const crypto = require('./crypto');
+const curve = require('./curve');
+const errors = require('./errors');
+const protobufs = require('./protobufs');
+
+const VERSION = CONSTANTS.SEALED_SENDER.VERSION;
+const VERSION_BYTE = (VERSION << CONSTANTS.BITS.TUPLE_SHIFT) | VERSION;
+const EPHEMERAL_INFO = Buffer.from('UnidentifiedDelivery');
+// Every cipher key below encrypts a single value, so a fixed IV is safe.
+const IV = Buffer.alloc(CONSTANTS.KEY_SIZES.IV);
+
+/**
+ * Sealed sender: wraps SessionCipher messages in an envelope that hides the
+ * sender from the server relaying it.
+ *
+ * The envelope is encrypted to the recipient's identity key in two layers.
+ * The first, keyed by an ephemeral key agreement, carries the sender's
+ * identity key.  The second, keyed by the agreement of both identity keys,
+ * carries the sender's certificate and the SessionCipher message.  The
+ * recipient checks the certificate against its trust root and decrypts the
+ * inner message with a SessionCipher for the sender it names.
+ */
+class SealedSessionCipher {
+
+    /**
+     * @param {Object} storage - Storage object (see StorageAdapter)
+     * @param {Object} [options] - SessionCipher options for the inner
+     *        messages, see SessionCipher; `clock` is also used to check
+     *        certificate expiry
+     */
+    constructor(storage, options = {}) {
+        this.storage = StorageAdapter.wrap(storage, options);
+        this.options = options;
+        this.clock = options.clock || Date.now;
+    }
+
+    /**
+     * @param {ProtocolAddress} destination - Address of the recipient
+     * @param {SenderCertificate} senderCertificate - Our certificate
+     * @param {Buffer} data - Plaintext
+     * @returns {Promise<Buffer>} Encoded sealed sender message
+     */
+    async encrypt(destination, senderCertificate, data) {
+        if (!(senderCertificate instanceof SenderCertificate)) {
+            throw new TypeError('senderCertificate must be a SenderCertificate');
+        }
+        const ourIdentity = await this.storage.getOurIdentity();
+        if (!senderCertificate.identityKey.equals(ourIdentity.pubKey)) {
+            throw new errors.InvalidCertificateError('SenderCertificate is for another identity key');
+        }
+        const cipher = new SessionCipher(this.storage, destination, this.options);
+        const message = await cipher.encrypt(data);
+        const session = (await cipher.getRecord()).getOpenSession();
+        if (!session) {
+            throw new errors.NoSessionError('No open session');
+        }
+        const theirIdentityKey = session.indexInfo.remoteIdentityKey;
+
+        const ephemeral = curve.generateKeyPair();
+        const ephemeralKeys = deriveEphemeralKeys(
+            curve.calculateAgreement(theirIdentityKey, ephemeral.privKey),
+            theirIdentityKey, ephemeral.pubKey);
+        const encryptedStatic = encryptAndMac(ephemeralKeys, ourIdentity.pubKey);
+        const staticKeys = deriveStaticKeys(theirIdentityKey, ourIdentity.privKey,
+                                            ephemeralKeys.chainKey, encryptedStatic);
+        const content = protobufs.UnidentifiedSenderMessage.Message.encode({
+            type: message.type,
+            senderCertificate: senderCertificate.serialize(),
+            content: message.body
+        }).finish();
+        const envelope = protobufs.UnidentifiedSenderMessage.encode({
+            ephemeralPublic: ephemeral.pubKey,
+            encryptedStatic,
+            encryptedMessage: encryptAndMac(staticKeys, Buffer.from(content))
+        }).finish();
+        return Buffer.concat([Buffer.from([VERSION_BYTE]), envelope]);
+    }
+
+    /**
+     * Open a sealed sender message and decrypt the message inside
+     * @param {Buffer} trustRoot - Public key of the trust root
+     * @param {Buffer} data - Encoded sealed sender message
+     * @param {number} [timestamp=clock()] - Time to check the certificate
+     *        expiry against, e.g. when the server received the message
+     * @returns {Promise<Object>} The SessionCipher.decryptWithMetadata result
+     *          with the verified `sender` ProtocolAddress and its
+     *          `senderCertificate` added
+     * @throws {SealedSenderError} If the envelope can't be opened
+     * @throws {InvalidCertificateError} If the certificate isn't valid
+     */
+    async decrypt(trustRoot, data, timestamp = this.clock()) {
+        if (!Buffer.isBuffer(data)) {
+            throw new TypeError('Buffer required');
+        }
+        if (!data.length || data[0] >> CONSTANTS.BITS.TUPLE_SHIFT !== VERSION) {
+            throw new errors.SealedSenderError('Incompatible version number on sealed sender message');
+        }
+        const envelope = decode(protobufs.UnidentifiedSenderMessage, data.slice(1));
+        // Missing fields decode as empty buffers.
+        if (!envelope.ephemeralPublic.length || !envelope.encryptedStatic.length ||
+            !envelope.encryptedMessage.length) {
+            throw new errors.SealedSenderError('Incomplete sealed sender message');
+        }
+        const ourIdentity = await this.storage.getOurIdentity();
+        const ephemeralPublic = Buffer.from(envelope.ephemeralPublic);
+        let agreement;
+        try {
+            agreement = curve.calculateAgreement(ephemeralPublic, ourIdentity.privKey);
+        } catch (e) {
+            throw new errors.SealedSenderError(`Invalid ephemeral key: ${e.message}`);
+        }
+        const ephemeralKeys = deriveEphemeralKeys(agreement, ourIdentity.pubKey, ephemeralPublic);
+        const encryptedStatic = Buffer.from(envelope.encryptedStatic);
+        const senderIdentityKey = verifyAndDecrypt(ephemeralKeys, encryptedStatic);
+        const staticKeys = deriveStaticKeys(senderIdentityKey, ourIdentity.privKey,
+                                            ephemeralKeys.chainKey, encryptedStatic);
+        const message = decode(protobufs.UnidentifiedSenderMessage.Message,
+                               verifyAndDecrypt(staticKeys, Buffer.from(envelope.encryptedMessage)));
+        if (!message.senderCertificate.length || !message.content.length) {
+            throw new errors.SealedSenderError('Incomplete sealed sender message');
+        }
+        if (!Object.values(MessageType).includes(message.type)) {
+            throw new errors.SealedSenderError(`Unknown message type in sealed sender message: ${message.type}`);
+        }
+
+        const senderCertificate = SenderCertificate.deserialize(Buffer.from(message.senderCertificate));
+        senderCertificate.validate(trustRoot, timestamp);
+        if (!senderCertificate.identityKey.equals(senderIdentityKey)) {
+            throw new errors.SealedSenderError('Identity key of the sender does not match its certificate');
+        }
+        const sender = senderCertificate.sender;
+        const cipher = new SessionCipher(this.storage, sender, this.options);
+        const result = await cipher.decryptWithMetadata({
+            type: message.type,
+            body: Buffer.from(message.content)
+        });
+        return Object.assign(result, {sender, senderCertificate});
+    }
+}
+
+function deriveEphemeralKeys(agreement, recipientIdentityKey, ephemeralPubKey) {
+    const [chainKey, cipherKey, macKey] = crypto.deriveSecrets(
+        agreement, Buffer.alloc(CONSTANTS.KEY_SIZES.SALT),
+        Buffer.concat([EPHEMERAL_INFO, recipientIdentityKey, ephemeralPubKey]));
+    return {chainKey, cipherKey, macKey};
+}
+
+function deriveStaticKeys(publicKey, privKey, chainKey, encryptedStatic) {
+    const [, cipherKey, macKey] = crypto.deriveSecrets(curve.calculateAgreement(publicKey, privKey),
+                                                       chainKey, encryptedStatic);
+    return {cipherKey, macKey};
+}
+
+function encryptAndMac(keys, data) {
+    const ciphertext = crypto.encrypt(keys.cipherKey, data, IV);
+    const mac = crypto.calculateMAC(keys.macKey, ciphertext).slice(0, CONSTANTS.SEALED_SENDER.MAC_LENGTH);
+    return Buffer.concat([ciphertext, mac]);
+}
+
+function verifyAndDecrypt(keys, data) {
+    const macLength = CONSTANTS.SEALED_SENDER.MAC_LENGTH;
+    if (data.length <= macLength) {
+        throw new errors.SealedSenderError('Sealed sender ciphertext too short');
+    }
+    const ciphertext = data.slice(0, -macLength);
+    try {
+        crypto.verifyMAC(ciphertext, keys.macKey, data.slice(-macLength), macLength);
+        return crypto.decrypt(keys.cipherKey, ciphertext, IV);
+    } catch (e) {
+        throw new errors.SealedSenderError(`Bad sealed sender ciphertext: ${e.message}`);
+    }
+}
+
+function decode(MessageType, data) {
+    try {
+        return MessageType.decode(data);
+    } catch (e) {
+        throw new errors.SealedSenderError(`Malformed sealed sender message: ${e.message}`);
+    }
+}
+
+module.exports = SealedSessionCipher;
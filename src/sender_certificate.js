@@ -0,0 +1,198 @@
+// vim: ts=4:sw=4:expandtab
+'use strict';
+
+const ProtocolAddress = require('./protocol_address');
+const curve = require('./curve');
+const errors = require('./errors');
+const protobufs = require('./protobufs');
+
+/**
+ * Key of a server that issues sender certificates, signed by the trust root
+ * that clients are configured with.
+ */
+class ServerCertificate {
+
+    /**
+     * Issue a server certificate
+     * @param {Buffer} trustRootPrivKey - Private key of the trust root
+     * @param {number} keyId - ID of the server key
+     * @param {Buffer} key - Public key of the server
+     * @returns {ServerCertificate}
+     */
+    static create(trustRootPrivKey, keyId, key) {
+        const certificate = Buffer.from(protobufs.ServerCertificate.Certificate.encode({
+            id: keyId,
+            key
+        }).finish());
+        return new this(certificate, curve.calculateSignature(trustRootPrivKey, certificate));
+    }
+
+    /**
+     * @param {Buffer} data - Encoded ServerCertificate
+     * @returns {ServerCertificate}
+     * @throws {InvalidCertificateError} If data isn't a complete certificate
+     */
+    static deserialize(data) {
+        const message = decode(protobufs.ServerCertificate, data);
+        if (!message.certificate.length || !message.signature.length) {
+            throw new errors.InvalidCertificateError('Incomplete ServerCertificate');
+        }
+        return new this(Buffer.from(message.certificate), Buffer.from(message.signature));
+    }
+
+    /**
+     * @param {Buffer} certificate - Encoded ServerCertificate.Certificate
+     * @param {Buffer} signature - Signature of certificate by the trust root
+     */
+    constructor(certificate, signature) {
+        const message = decode(protobufs.ServerCertificate.Certificate, certificate);
+        // Missing fields decode as defaults, only present ones are own properties.
+        if (!message.hasOwnProperty('id') || !message.key.length) {
+            throw new errors.InvalidCertificateError('Incomplete ServerCertificate');
+        }
+        this.keyId = message.id;
+        this.key = Buffer.from(message.key);
+        this.certificate = certificate;
+        this.signature = signature;
+    }
+
+    /**
+     * @param {Buffer} trustRoot - Public key of the trust root
+     * @throws {InvalidCertificateError} If the trust root didn't sign it
+     */
+    validate(trustRoot) {
+        if (!verifySignature(trustRoot, this.certificate, this.signature)) {
+            throw new errors.InvalidCertificateError('ServerCertificate is not signed by the trust root');
+        }
+    }
+
+    serialize() {
+        return Buffer.from(protobufs.ServerCertificate.encode({
+            certificate: this.certificate,
+            signature: this.signature
+        }).finish());
+    }
+}
+
+/**
+ * Binds a sender's address and identity key to a server key until it
+ * expires.  The server hands it to its clients, which put it in their sealed
+ * sender messages so recipients learn who sent them.
+ */
+class SenderCertificate {
+
+    /**
+     * Issue a sender certificate
+     * @param {ServerCertificate} signer - Certificate of the issuing server key
+     * @param {Buffer} signerPrivKey - Private key of signer
+     * @param {Object} fields
+     * @param {ProtocolAddress} fields.sender - Address of the sender
+     * @param {Buffer} fields.identityKey - Identity key of the sender
+     * @param {number} fields.expires - Expiry, in milliseconds since the epoch
+     * @returns {SenderCertificate}
+     */
+    static create(signer, signerPrivKey, {sender, identityKey, expires}) {
+        if (!(signer instanceof ServerCertificate)) {
+            throw new TypeError('signer must be a ServerCertificate');
+        }
+        if (!(sender instanceof ProtocolAddress)) {
+            throw new TypeError('sender must be a ProtocolAddress');
+        }
+        if (!Number.isSafeInteger(expires) || expires < 0) {
+            throw new TypeError('expires must be a non-negative integer');
+        }
+        const certificate = Buffer.from(protobufs.SenderCertificate.Certificate.encode({
+            sender: sender.id,
+            senderDevice: sender.deviceId,
+            expires,
+            identityKey,
+            signer: signer.serialize()
+        }).finish());
+        return new this(certificate, curve.calculateSignature(signerPrivKey, certificate));
+    }
+
+    /**
+     * @param {Buffer} data - Encoded SenderCertificate
+     * @returns {SenderCertificate}
+     * @throws {InvalidCertificateError} If data isn't a complete certificate
+     */
+    static deserialize(data) {
+        const message = decode(protobufs.SenderCertificate, data);
+        if (!message.certificate.length || !message.signature.length) {
+            throw new errors.InvalidCertificateError('Incomplete SenderCertificate');
+        }
+        return new this(Buffer.from(message.certificate), Buffer.from(message.signature));
+    }
+
+    /**
+     * @param {Buffer} certificate - Encoded SenderCertificate.Certificate
+     * @param {Buffer} signature - Signature of certificate by the signer
+     */
+    constructor(certificate, signature) {
+        const message = decode(protobufs.SenderCertificate.Certificate, certificate);
+        if (!message.sender || !message.hasOwnProperty('senderDevice') ||
+            !message.identityKey.length || !message.signer.length) {
+            throw new errors.InvalidCertificateError('Incomplete SenderCertificate');
+        }
+        try {
+            this.sender = new ProtocolAddress(message.sender, message.senderDevice);
+        } catch (e) {
+            throw new errors.InvalidCertificateError(`Invalid sender: ${e.message}`);
+        }
+        this.expires = typeof message.expires === 'number' ? message.expires :
+                                                             message.expires.toNumber();
+        this.identityKey = Buffer.from(message.identityKey);
+        this.signer = ServerCertificate.deserialize(Buffer.from(message.signer));
+        this.certificate = certificate;
+        this.signature = signature;
+    }
+
+    /**
+     * Check the chain from the trust root to this certificate
+     * @param {Buffer} trustRoot - Public key of the trust root
+     * @param {number} timestamp - Time to check the expiry against, in ms
+     * @throws {InvalidCertificateError} If a signature is bad or it expired
+     */
+    validate(trustRoot, timestamp) {
+        this.signer.validate(trustRoot);
+        if (!verifySignature(this.signer.key, this.certificate, this.signature)) {
+            throw new errors.InvalidCertificateError('SenderCertificate is not signed by its server');
+        }
+        if (timestamp >= this.expires) {
+            throw new errors.InvalidCertificateError('SenderCertificate expired');
+        }
+    }
+
+    serialize() {
+        return Buffer.from(protobufs.SenderCertificate.encode({
+            certificate: this.certificate,
+            signature: this.signature
+        }).finish());
+    }
+}
+
+function decode(MessageType, data) {
+    if (!Buffer.isBuffer(data)) {
+        throw new TypeError('Buffer required');
+    }
+    try {
+        return MessageType.decode(data);
+    } catch (e) {
+        throw new errors.InvalidCertificateError(`Malformed certificate: ${e.message}`);
+    }
+}
+
+/**
+ * Like curve.verifySignature, but false for malformed keys and signatures too
+ */
+function verifySignature(pubKey, message, signature) {
+    try {
+        return curve.verifySignature(pubKey, message, signature);
+    } catch {
+        return false;
+    }
+}
+
+SenderCertificate.ServerCertificate = ServerCertificate;
+
+module.exports = SenderCertificate;
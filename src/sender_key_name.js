@@ -0,0 +1,34 @@
+// vim: ts=4:sw=4:expandtab
+'use strict';
+
+const ProtocolAddress = require('./protocol_address');
+
+/**
+ * Names the sender key one sender uses in one group.
+ */
+class SenderKeyName {
+
+    /**
+     * @param {string} groupId - Group identifier
+     * @param {ProtocolAddress} sender - Device sending to the group
+     */
+    constructor(groupId, sender) {
+        if (typeof groupId !== 'string' || !groupId) {
+            throw new TypeError('groupId must be a non-empty string');
+        }
+        if (!(sender instanceof ProtocolAddress)) {
+            throw new TypeError('sender must be a ProtocolAddress');
+        }
+        this.groupId = groupId;
+        this.sender = sender;
+    }
+
+    /**
+     * @returns {string} `groupId::id::deviceId`, the key for the sender key store
+     */
+    toString() {
+        return `${this.groupId}::${this.sender.id}::${this.sender.deviceId}`;
+    }
+}
+
+module.exports = SenderKeyName;
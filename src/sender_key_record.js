@@ -0,0 +1,128 @@
+// vim: ts=4:sw=4:expandtab
+'use strict';
+
+const CONSTANTS = require('./constants/protocol_constants');
+
+/**
+ * One generation of a sender's key: the chain that derives message keys, the
+ * key that signs the messages, and the keys of messages skipped so far.
+ * Only the sender itself has the private signing key.
+ */
+class SenderKeyState {
+
+    /**
+     * @param {number} keyId - ID of the sender key
+     * @param {number} iteration - Iteration of chainKey
+     * @param {Buffer} chainKey - Chain key at iteration
+     * @param {Buffer} signingPubKey - Public signing key
+     * @param {Buffer} [signingPrivKey] - Private signing key
+     */
+    constructor(keyId, iteration, chainKey, signingPubKey, signingPrivKey) {
+        this.keyId = keyId;
+        this.chainKey = {iteration, key: chainKey};
+        this.signingKey = {pubKey: signingPubKey, privKey: signingPrivKey};
+        this.messageKeys = new Map();  // Iteration -> message key seed, oldest first
+    }
+
+    addMessageKey(iteration, seed) {
+        this.messageKeys.set(iteration, seed);
+        for (const old of this.messageKeys.keys()) {
+            if (this.messageKeys.size <= CONSTANTS.SENDER_KEY.MAX_MESSAGE_KEYS) {
+                break;
+            }
+            this.messageKeys.delete(old);
+        }
+    }
+
+    /**
+     * @returns {Buffer|undefined} Seed of the message key, which is removed
+     */
+    removeMessageKey(iteration) {
+        const seed = this.messageKeys.get(iteration);
+        this.messageKeys.delete(iteration);
+        return seed;
+    }
+
+    serialize() {
+        const data = {
+            keyId: this.keyId,
+            chainKey: {
+                iteration: this.chainKey.iteration,
+                key: this.chainKey.key.toString('base64')
+            },
+            signingKey: {
+                pubKey: this.signingKey.pubKey.toString('base64')
+            },
+            messageKeys: Array.from(this.messageKeys, ([iteration, seed]) =>
+                ({iteration, seed: seed.toString('base64')}))
+        };
+        if (this.signingKey.privKey) {
+            data.signingKey.privKey = this.signingKey.privKey.toString('base64');
+        }
+        return data;
+    }
+
+    static deserialize(data) {
+        const state = new this(data.keyId, data.chainKey.iteration,
+                               Buffer.from(data.chainKey.key, 'base64'),
+                               Buffer.from(data.signingKey.pubKey, 'base64'),
+                               data.signingKey.privKey && Buffer.from(data.signingKey.privKey, 'base64'));
+        for (const {iteration, seed} of data.messageKeys) {
+            state.messageKeys.set(iteration, Buffer.from(seed, 'base64'));
+        }
+        return state;
+    }
+}
+
+
+/**
+ * Sender key states of one sender in one group (see SenderKeyName), newest
+ * first.  A sender that rotates its key keeps the older states around for a
+ * while, so messages still in flight can be decrypted.
+ */
+class SenderKeyRecord {
+
+    static deserialize(data) {
+        const record = new this();
+        record.states = data.states.map(state => SenderKeyState.deserialize(state));
+        return record;
+    }
+
+    constructor() {
+        this.states = [];
+    }
+
+    isEmpty() {
+        return this.states.length === 0;
+    }
+
+    /**
+     * @param {number} [keyId] - Defaults to the newest state
+     * @returns {SenderKeyState|undefined}
+     */
+    getState(keyId) {
+        if (keyId === undefined) {
+            return this.states[0];
+        }
+        return this.states.find(state => state.keyId === keyId);
+    }
+
+    /**
+     * Add a state as the newest one, replacing any state with the same keyId
+     * and dropping the oldest beyond MAX_STATES
+     */
+    addState(keyId, iteration, chainKey, signingPubKey, signingPrivKey) {
+        this.states = this.states.filter(state => state.keyId !== keyId);
+        this.states.unshift(new SenderKeyState(keyId, iteration, chainKey, signingPubKey,
+                                               signingPrivKey));
+        this.states.length = Math.min(this.states.length, CONSTANTS.SENDER_KEY.MAX_STATES);
+    }
+
+    serialize() {
+        return {states: this.states.map(state => state.serialize())};
+    }
+}
+
+SenderKeyRecord.SenderKeyState = SenderKeyState;
+
+module.exports = SenderKeyRecord;
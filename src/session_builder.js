@@ -3,33 +3,60 @@
 
 const BaseKeyType = require('./base_key_type');
 const ChainType = require('./chain_type');
+const Direction = require('./direction');
+const KeyExchangeMessage = require('./messages/key_exchange_message');
+const ProtocolVersion = require('./protocol_version');
 const SessionRecord = require('./session_record');
+const StorageAdapter = require('./storage/storage_adapter');
 const crypto = require('./crypto');
 const curve = require('./curve');
 const errors = require('./errors');
+const kem = require('./kem');
+const nodeCrypto = require('crypto');
 const queueJob = require('./queue_job');
 
 
 class SessionBuilder {
 
-    constructor(storage, protocolAddress) {
+    /**
+     * @param {Object} storage - Storage object (see StorageAdapter)
+     * @param {ProtocolAddress} protocolAddress - Remote address
+     * @param {Object} [options]
+     * @param {boolean} [options.deserializeSessions=false] - Accept plain
+     *        serialized records from storage.loadSession
+     * @param {Function} [options.clock=Date.now] - Returns the current time
+     *        in milliseconds, recorded as the creation time of sessions
+     */
+    constructor(storage, protocolAddress, options = {}) {
         this.addr = protocolAddress;
-        this.storage = storage;
+        this.storage = StorageAdapter.wrap(storage, options);
+        this.clock = options.clock || Date.now;
     }
 
+    /**
+     * Set up a session from a remote PreKey bundle and record the remote
+     * identity key with storage.saveIdentity.  A bundle with a `kyberPreKey`
+     * (`{keyId, publicKey, signature}`) sets up a PQXDH session.
+     * @param {Object} device - PreKey bundle
+     * @returns {Promise<Object>} `identityChanged` is true if the remote
+     *          identity key replaced a different one
+     */
     async initOutgoing(device) {
         const fqAddr = this.addr.toString();
         return await queueJob(fqAddr, async () => {
-            if (!await this.storage.isTrustedIdentity(this.addr.id, device.identityKey)) {
+            if (!await this.storage.isTrustedIdentity(this.addr.id, device.identityKey,
+                                                      Direction.SENDING)) {
                 throw new errors.UntrustedIdentityKeyError(this.addr.id, device.identityKey);
             }
             curve.verifySignature(device.identityKey, device.signedPreKey.publicKey,
                                   device.signedPreKey.signature);
+            const kyber = device.kyberPreKey && encapsulate(device.identityKey, device.kyberPreKey);
             const baseKey = curve.generateKeyPair();
             const devicePreKey = device.preKey && device.preKey.publicKey;
             const session = await this.initSession(true, baseKey, undefined, device.identityKey,
                                                    devicePreKey, device.signedPreKey.publicKey,
-                                                   device.registrationId);
+                                                   device.registrationId,
+                                                   kyber && kyber.sharedSecret);
             session.pendingPreKey = {
                 signedKeyId: device.signedPreKey.keyId,
                 baseKey: baseKey.pubKey
@@ -37,29 +64,46 @@ class SessionBuilder {
             if (device.preKey) {
                 session.pendingPreKey.preKeyId = device.preKey.keyId;
             }
-            let record = await this.storage.loadSession(fqAddr);
-            if (!record) {
-                record = new SessionRecord();
-            } else {
-                const openSession = record.getOpenSession();
-                if (openSession) {
-                    
-                    record.closeSession(openSession);
-                }
+            if (kyber) {
+                session.pendingPreKey.kyberPreKeyId = device.kyberPreKey.keyId;
+                session.pendingPreKey.kyberCiphertext = kyber.ciphertext;
             }
-            record.setSession(session);
-            await this.storage.storeSession(fqAddr, record);
+            return await this.storage.transaction(async tx => {
+                const identityChanged = await tx.saveIdentity(this.addr.id, device.identityKey);
+                let record = await tx.loadSession(fqAddr);
+                if (!record) {
+                    record = new SessionRecord();
+                } else {
+                    const openSession = record.getOpenSession();
+                    if (openSession) {
+                        record.closeSession(openSession);
+                    }
+                }
+                record.setSession(session);
+                await tx.storeSession(fqAddr, record);
+                return {identityChanged};
+            });
         });
     }
 
+    /**
+     * Set up a session in record from a PreKeyWhisperMessage and record the
+     * remote identity key with storage.saveIdentity
+     * @param {SessionRecord} record - Record to add the session to
+     * @param {Object} message - Decoded PreKeyWhisperMessage
+     * @returns {Promise<Object>} `preKeyId` is the one-time prekey to remove,
+     *          if any, `kyberPreKeyId` the Kyber prekey of a PQXDH session,
+     *          `identityChanged` is true if the remote identity key replaced
+     *          a different one
+     */
     async initIncoming(record, message) {
-        const fqAddr = this.addr.toString();
-        if (!await this.storage.isTrustedIdentity(fqAddr, message.identityKey)) {
+        if (!await this.storage.isTrustedIdentity(this.addr.id, message.identityKey,
+                                                  Direction.RECEIVING)) {
             throw new errors.UntrustedIdentityKeyError(this.addr.id, message.identityKey);
         }
         if (record.getSession(message.baseKey)) {
             // This just means we haven't replied.
-            return;
+            return {identityChanged: false};
         }
         const preKeyPair = await this.storage.loadPreKey(message.preKeyId);
         if (message.preKeyId && !preKeyPair) {
@@ -69,6 +113,16 @@ class SessionBuilder {
         if (!signedPreKeyPair) { 
             throw new errors.PreKeyError("Missing SignedPreKey");
         }   
+        let kyberSharedSecret, kyberPreKeyId;
+        if (message.kyberCiphertext && message.kyberCiphertext.length) {
+            kyberPreKeyId = message.kyberPreKeyId;
+            const kyberPreKeyPair = await this.storage.loadKyberPreKey(message.kyberPreKeyId);
+            if (!kyberPreKeyPair) {
+                throw new errors.PreKeyError('Missing Kyber PreKey');
+            }
+            kyberSharedSecret = kem.decapsulate(Buffer.from(message.kyberCiphertext),
+                                                kyberPreKeyPair.privKey);
+        }
         const existingOpenSession = record.getOpenSession();
         if (existingOpenSession) {
           
@@ -76,12 +130,154 @@ class SessionBuilder {
         }
         record.setSession(await this.initSession(false, preKeyPair, signedPreKeyPair,
                                                  message.identityKey, message.baseKey,
-                                                 undefined, message.registrationId));
-        return message.preKeyId;
+                                                 undefined, message.registrationId,
+                                                 kyberSharedSecret));
+        const identityChanged = await this.storage.saveIdentity(this.addr.id, message.identityKey);
+        return {preKeyId: message.preKeyId, kyberPreKeyId, identityChanged};
+    }
+
+    /**
+     * Start an interactive key exchange, for devices that are both online and
+     * set up a session without a prekey server.  Our half of the exchange is
+     * kept in the SessionRecord until the response arrives.
+     * @returns {Promise<KeyExchangeMessage>} Message for the remote device
+     */
+    async initKeyExchange() {
+        const fqAddr = this.addr.toString();
+        return await queueJob(fqAddr, async () => {
+            const ourIdentityKey = await this.storage.getOurIdentity();
+            const pending = {
+                id: nodeCrypto.randomBytes(4).readUInt32BE() & 0x7fffffff,
+                baseKeyPair: curve.generateKeyPair(),
+                ephemeralKeyPair: curve.generateKeyPair()
+            };
+            await this.storage.transaction(async tx => {
+                const record = await tx.loadSession(fqAddr) || new SessionRecord();
+                record.pendingKeyExchange = pending;
+                await tx.storeSession(fqAddr, record);
+            });
+            return new KeyExchangeMessage(pending.id, pending.baseKeyPair.pubKey,
+                                          pending.ephemeralKeyPair.pubKey, ourIdentityKey.pubKey,
+                                          curve.calculateSignature(ourIdentityKey.privKey,
+                                                                   pending.baseKeyPair.pubKey),
+                                          KeyExchangeMessage.INITIATE_FLAG);
+        });
+    }
+
+    /**
+     * Process a KeyExchangeMessage from the remote device and record its
+     * identity key with storage.saveIdentity.
+     *
+     * An initiate message starts an exchange, which we answer with a
+     * response.  A response completes our pending exchange with the same id.
+     * When both devices started one at the same time, the exchange with the
+     * lower id wins: the other side answers ours and we ignore theirs.  In the
+     * session itself, the device with the lower base key takes the part of
+     * the initiator.  Either way the session is indexed by the remote base
+     * key, so a replayed message is rejected rather than replacing it.
+     * @param {KeyExchangeMessage} message - Message from the remote device
+     * @returns {Promise<Object>} `response` is the KeyExchangeMessage to send
+     *          back, if any, `identityChanged` is true if the remote identity
+     *          key replaced a different one
+     * @throws {KeyExchangeError} If the base key signature is invalid, the
+     *         message was already processed or it is a response to no
+     *         pending exchange of ours
+     */
+    async processKeyExchange(message) {
+        if (!(message instanceof KeyExchangeMessage)) {
+            throw new TypeError('message must be a KeyExchangeMessage');
+        }
+        message.validate();
+        const fqAddr = this.addr.toString();
+        return await queueJob(fqAddr, async () => {
+            if (!await this.storage.isTrustedIdentity(this.addr.id, message.identityKey,
+                                                      Direction.RECEIVING)) {
+                throw new errors.UntrustedIdentityKeyError(this.addr.id, message.identityKey);
+            }
+            if (!curve.verifySignature(message.identityKey, message.baseKey, message.baseKeySignature)) {
+                throw new errors.KeyExchangeError('Invalid base key signature');
+            }
+            return await this.storage.transaction(async tx => {
+                const record = await tx.loadSession(fqAddr) || new SessionRecord();
+                let ours = record.pendingKeyExchange;
+                let response;
+                if (ours && ours.baseKeyPair.pubKey.equals(message.baseKey)) {
+                    throw new errors.KeyExchangeError('Received our own key exchange');
+                }
+                if (record.getSession(message.baseKey)) {
+                    throw new errors.KeyExchangeError('Key exchange already processed');
+                }
+                if (!message.isInitiate()) {
+                    if (!ours || ours.id !== message.id) {
+                        throw new errors.KeyExchangeError('No pending key exchange for response');
+                    }
+                } else if (ours && ours.id < message.id) {
+                    // Ours wins, its response will complete the session.
+                    return {identityChanged: false};
+                } else {
+                    ours = {
+                        id: message.id,
+                        baseKeyPair: curve.generateKeyPair(),
+                        ephemeralKeyPair: curve.generateKeyPair()
+                    };
+                    const ourIdentityKey = await this.storage.getOurIdentity();
+                    response = message.generateResponse(message.id, {
+                        identityKey: ourIdentityKey,
+                        baseKey: ours.baseKeyPair,
+                        ephemeralKey: ours.ephemeralKeyPair
+                    }, curve.calculateSignature);
+                }
+                const session = await this.initKeyExchangeSession(ours, message);
+                record.pendingKeyExchange = null;
+                const openSession = record.getOpenSession();
+                if (openSession) {
+                    record.closeSession(openSession);
+                }
+                record.setSession(session);
+                const identityChanged = await tx.saveIdentity(this.addr.id, message.identityKey);
+                await tx.storeSession(fqAddr, record);
+                return {response, identityChanged};
+            });
+        });
     }
 
+    /**
+     * Set up the session of a key exchange with the X3DH agreements.  Each
+     * side's base key stands in for the initiator's base key and the
+     * responder's signed prekey, the responder's ephemeral key for its
+     * one-time prekey and the initiator's for its first ratchet key.  The
+     * responder steps its ratchet with the latter right away, so either side
+     * can send first.
+     */
+    async initKeyExchangeSession(ours, message) {
+        if (Buffer.compare(ours.baseKeyPair.pubKey, message.baseKey) < 0) {
+            const session = await this.initSession(true, ours.baseKeyPair, undefined,
+                                                   message.identityKey, message.ephemeralKey,
+                                                   message.baseKey, undefined, undefined,
+                                                   ours.ephemeralKeyPair);
+            session.indexInfo.baseKey = message.baseKey;
+            session.indexInfo.baseKeyType = BaseKeyType.THEIRS;
+            return session;
+        }
+        const session = await this.initSession(false, ours.ephemeralKeyPair, ours.baseKeyPair,
+                                               message.identityKey, message.baseKey);
+        const ratchet = session.currentRatchet;
+        addRatchetChain(session, message.ephemeralKey, message.ephemeralKey, ChainType.RECEIVING);
+        ratchet.ephemeralKeyPair = curve.generateKeyPair();
+        this.calculateSendingRatchet(session, message.ephemeralKey);
+        ratchet.lastRemoteEphemeralKey = message.ephemeralKey;
+        return session;
+    }
+
+    /**
+     * Derive the initial ratchet state from the X3DH agreements, followed by
+     * kyberSharedSecret for a PQXDH session, which makes it a version 4
+     * session.  The initiator's first ratchet key is ourRatchetKey, or a new
+     * one.
+     */
     async initSession(isInitiator, ourEphemeralKey, ourSignedKey, theirIdentityPubKey,
-                      theirEphemeralPubKey, theirSignedPubKey, registrationId) {
+                      theirEphemeralPubKey, theirSignedPubKey, registrationId,
+                      kyberSharedSecret, ourRatchetKey) {
         if (isInitiator) {
             if (ourSignedKey) {
                 throw new Error("Invalid call to initSession");
@@ -118,19 +314,25 @@ class SessionBuilder {
             const a4 = curve.calculateAgreement(theirEphemeralPubKey, ourEphemeralKey.privKey);
             sharedSecret.set(new Uint8Array(a4), 32 * 4);
         }
-        const masterKey = crypto.deriveSecrets(Buffer.from(sharedSecret), Buffer.alloc(32),
-                                               Buffer.from("WhisperText"));
+        const secrets = [Buffer.from(sharedSecret)];
+        if (kyberSharedSecret) {
+            secrets.push(kyberSharedSecret);
+        }
+        const version = kyberSharedSecret ? ProtocolVersion.PQXDH_VERSION : ProtocolVersion.X3DH_VERSION;
+        const masterKey = crypto.deriveSecrets(Buffer.concat(secrets), Buffer.alloc(32),
+                                               Buffer.from(ProtocolVersion.rules(version).rootKeyInfo));
         const session = SessionRecord.createEntry();
         session.registrationId = registrationId;
+        session.protocolVersion = version;
         session.currentRatchet = {
             rootKey: masterKey[0],
-            ephemeralKeyPair: isInitiator ? curve.generateKeyPair() : ourSignedKey,
+            ephemeralKeyPair: isInitiator ? ourRatchetKey || curve.generateKeyPair() : ourSignedKey,
             lastRemoteEphemeralKey: theirSignedPubKey,
             previousCounter: 0
         };
         session.indexInfo = {
-            created: Date.now(),
-            used: Date.now(),
+            created: this.clock(),
+            used: this.clock(),
             remoteIdentityKey: theirIdentityPubKey,
             baseKey: isInitiator ? ourEphemeralKey.pubKey : theirEphemeralPubKey,
             baseKeyType: isInitiator ? BaseKeyType.OURS : BaseKeyType.THEIRS,
@@ -146,19 +348,39 @@ class SessionBuilder {
     }
 
     calculateSendingRatchet(session, remoteKey) {
-        const ratchet = session.currentRatchet;
-        const sharedSecret = curve.calculateAgreement(remoteKey, ratchet.ephemeralKeyPair.privKey);
-        const masterKey = crypto.deriveSecrets(sharedSecret, ratchet.rootKey, Buffer.from("WhisperRatchet"));
-        session.addChain(ratchet.ephemeralKeyPair.pubKey, {
-            messageKeys: {},
-            chainKey: {
-                counter: -1,
-                key: masterKey[1]
-            },
-            chainType: ChainType.SENDING
-        });
-        ratchet.rootKey = masterKey[0];
+        addRatchetChain(session, remoteKey, session.currentRatchet.ephemeralKeyPair.pubKey,
+                        ChainType.SENDING);
+    }
+}
+
+/**
+ * Add the chain of our current ratchet key and remoteKey as chainId
+ */
+function addRatchetChain(session, remoteKey, chainId, chainType) {
+    const ratchet = session.currentRatchet;
+    const sharedSecret = curve.calculateAgreement(remoteKey, ratchet.ephemeralKeyPair.privKey);
+    const masterKey = crypto.deriveSecrets(sharedSecret, ratchet.rootKey,
+                                           Buffer.from(ProtocolVersion.rules(session.protocolVersion).ratchetInfo));
+    session.addChain(chainId, {
+        messageKeys: {},
+        messageKeyTimes: {},
+        chainKey: {
+            counter: -1,
+            key: masterKey[1]
+        },
+        chainType
+    });
+    ratchet.rootKey = masterKey[0];
+}
+
+/**
+ * Encapsulate to a bundle's Kyber prekey once its signature checked out
+ */
+function encapsulate(identityKey, kyberPreKey) {
+    if (!curve.verifySignature(identityKey, kyberPreKey.publicKey, kyberPreKey.signature)) {
+        throw new errors.PreKeyError('Invalid Kyber PreKey signature');
     }
+    return kem.encapsulate(kyberPreKey.publicKey);
 }
 
 module.exports = SessionBuilder;
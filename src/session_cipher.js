@@ -1,17 +1,22 @@
 // vim: ts=4:sw=4:expandtab
 
 const ChainType = require('./chain_type');
+const Direction = require('./direction');
+const MessageType = require('./message_type');
 const ProtocolAddress = require('./protocol_address');
+const ProtocolVersion = require('./protocol_version');
 const SessionBuilder = require('./session_builder');
 const SessionRecord = require('./session_record');
+const StorageAdapter = require('./storage/storage_adapter');
+const StorageTransaction = require('./storage/storage_transaction');
 const crypto = require('./crypto');
 const curve = require('./curve');
 const errors = require('./errors');
+const messages = require('./messages');
+const padding = require('./padding');
 const protobufs = require('./protobufs');
 const queueJob = require('./queue_job');
 
-const VERSION = 3;
-
 // Internal optimizations - use new modules if available, fallback to original
 let CONSTANTS, ValidationUtils, cryptoEngine;
 try {
@@ -25,7 +30,15 @@ try {
         KEY_SIZES: { MAC: 32, IV: 16, PUBLIC_KEY: 33 },
         BITS: { TUPLE_SHIFT: 4, TUPLE_MASK: 0xf, MAX_TUPLE_VALUE: 15 },
         MESSAGE_KEYS: { DERIVE_INFO: 'WhisperMessageKeys' },
-        SESSION: { MAX_MESSAGE_KEYS: 2000 }
+        SESSION: {
+            MAX_MESSAGE_KEYS: 2000,
+            MAX_FORWARD_GAP: 2000,
+            MAX_SESSION_MESSAGE_KEYS: 10000,
+            MAX_RECEIVER_CHAINS: 5,
+            MAX_MESSAGE_KEY_AGE: 30 * 24 * 3600 * 1000,
+            MAX_UNACKNOWLEDGED_SESSION_AGE: 30 * 24 * 3600 * 1000,
+            MAX_USED_COUNTER_RANGES: 100
+        }
     };
     ValidationUtils = {
         assertBuffer: (value) => {
@@ -45,15 +58,174 @@ function assertBuffer(value) {
     return value;
 }
 
+/**
+ * Wire encoding of a message: body itself if it is a Buffer, or the version
+ * byte followed by the serialized message object and, for a WhisperMessage,
+ * its MAC.  Message objects don't keep the version range the sender
+ * advertised, so ours is used; the MAC doesn't cover it.
+ */
+function encodeMessage(body, MessageClass) {
+    if (Buffer.isBuffer(body)) {
+        return body;
+    }
+    if (!(body instanceof MessageClass)) {
+        throw new TypeError(`Expected Buffer or ${MessageClass.name}`);
+    }
+    const parts = [Buffer.from([ProtocolVersion.RANGE_BYTE]), body.serialize()];
+    if (MessageClass === messages.WhisperMessage) {
+        if (!body.mac) {
+            throw new TypeError('WhisperMessage without MAC');
+        }
+        parts.push(body.mac);
+    }
+    return Buffer.concat(parts);
+}
+
+/**
+ * Ratchet and session expiry limits, overridable per cipher through the
+ * constructor options.
+ */
+const DEFAULT_LIMITS = {
+    maxForwardGap: CONSTANTS.SESSION.MAX_FORWARD_GAP,
+    maxSkippedKeysPerChain: CONSTANTS.SESSION.MAX_MESSAGE_KEYS,
+    maxSkippedKeysPerSession: CONSTANTS.SESSION.MAX_SESSION_MESSAGE_KEYS,
+    maxReceiverChains: CONSTANTS.SESSION.MAX_RECEIVER_CHAINS,
+    maxSkippedKeyAge: CONSTANTS.SESSION.MAX_MESSAGE_KEY_AGE,
+    maxSessionIdle: Infinity,
+    maxUnacknowledgedSessionAge: CONSTANTS.SESSION.MAX_UNACKNOWLEDGED_SESSION_AGE
+};
+
+function ratchetLimits(options) {
+    const limits = Object.assign({}, DEFAULT_LIMITS);
+    for (const name of Object.keys(DEFAULT_LIMITS)) {
+        if (options[name] !== undefined) {
+            const value = options[name];
+            if (!(Number.isInteger(value) || value === Infinity) || value < 1) {
+                throw new TypeError(`${name} must be a positive integer or Infinity`);
+            }
+            limits[name] = options[name];
+        }
+    }
+    return limits;
+}
+
+/*
+ * Counters decrypted on a receiving chain are kept as sorted, disjoint
+ * [first, last] ranges, so in-order delivery needs a single range.  Only the
+ * newest ranges are kept; replays older than that can't be told apart from
+ * keys that were never filled.
+ */
+function markCounterUsed(chain, counter) {
+    const ranges = chain.usedCounters || (chain.usedCounters = []);
+    let i = 0;
+    while (i < ranges.length && ranges[i][1] < counter - 1) {
+        i++;
+    }
+    if (i < ranges.length && ranges[i][0] <= counter + 1) {
+        ranges[i][0] = Math.min(ranges[i][0], counter);
+        ranges[i][1] = Math.max(ranges[i][1], counter);
+        if (i + 1 < ranges.length && ranges[i + 1][0] <= ranges[i][1] + 1) {
+            ranges[i][1] = Math.max(ranges[i][1], ranges[i + 1][1]);
+            ranges.splice(i + 1, 1);
+        }
+    } else {
+        ranges.splice(i, 0, [counter, counter]);
+    }
+    if (ranges.length > CONSTANTS.SESSION.MAX_USED_COUNTER_RANGES) {
+        ranges.shift();
+    }
+}
+
+function isCounterUsed(chain, counter) {
+    return !!chain.usedCounters &&
+           chain.usedCounters.some(([first, last]) => counter >= first && counter <= last);
+}
+
+/*
+ * Run awaitable once it holds the queues of all buckets.  The jobs are
+ * queued in one go, so two calls can't each hold a bucket the other waits
+ * for.
+ */
+async function queueJobAll(buckets, awaitable) {
+    buckets = Array.from(new Set(buckets));
+    if (!buckets.length) {
+        return await awaitable();
+    }
+    let held;
+    const allHeld = new Promise(resolve => held = resolve);
+    let release;
+    const released = new Promise(resolve => release = resolve);
+    let waiting = buckets.length;
+    for (const bucket of buckets) {
+        queueJob(bucket, async () => {
+            if (--waiting === 0) {
+                held();
+            }
+            await released;
+        });
+    }
+    await allHeld;
+    try {
+        return await awaitable();
+    } finally {
+        release();
+    }
+}
+
 
 class SessionCipher {
 
-    constructor(storage, protocolAddress) {
+    /**
+     * @param {Object} storage - Storage object (see StorageAdapter)
+     * @param {ProtocolAddress} protocolAddress - Remote address
+     * @param {Object} [options]
+     * @param {boolean} [options.deserializeSessions=false] - Accept plain
+     *        serialized records from storage.loadSession
+     * @param {Function} [options.onIdentityChange] - Called with the address
+     *        and new identity key when a PreKeyWhisperMessage replaced the
+     *        stored identity key of the remote party
+     * @param {Function} [options.onSessionReset] - Called with the address
+     *        when the remote party ended the session (see encryptEndSession)
+     * @param {number} [options.maxForwardGap=2000] - Most messages a received
+     *        counter may skip ahead on a chain
+     * @param {number} [options.maxSkippedKeysPerChain=2000] - Most skipped
+     *        message keys kept per chain, the oldest are dropped first
+     * @param {number} [options.maxSkippedKeysPerSession=10000] - Most skipped
+     *        message keys kept across the chains of a session
+     * @param {number} [options.maxReceiverChains=5] - Most receiving chains
+     *        kept per session, the oldest are dropped first
+     * @param {number} [options.maxSkippedKeyAge=30 days] - Milliseconds after
+     *        which a skipped message key is dropped
+     * @param {number} [options.maxSessionIdle=Infinity] - Milliseconds after
+     *        which an open session that wasn't used is closed
+     * @param {number} [options.maxUnacknowledgedSessionAge=30 days] -
+     *        Milliseconds after which an open session we set up from a PreKey
+     *        bundle is closed if the remote party never replied to it
+     * @param {Function} [options.clock=Date.now] - Returns the current time
+     *        in milliseconds
+     * @param {boolean|number[]} [options.padding=false] - Pad plaintexts with
+     *        the 0x80 terminator scheme, to multiples of 160 bytes if true or
+     *        to the given ascending bucket sizes; both sides must agree
+     */
+    constructor(storage, protocolAddress, options = {}) {
         if (!(protocolAddress instanceof ProtocolAddress)) {
             throw new TypeError("protocolAddress must be a ProtocolAddress");
         }
         this.addr = protocolAddress;
-        this.storage = storage;
+        this.storage = StorageAdapter.wrap(storage, options);
+        this.onIdentityChange = options.onIdentityChange;
+        this.onSessionReset = options.onSessionReset;
+        this.limits = ratchetLimits(options);
+        if (options.clock !== undefined && typeof options.clock !== 'function') {
+            throw new TypeError('clock must be a function');
+        }
+        this.clock = options.clock || Date.now;
+        if (Array.isArray(options.padding)) {
+            padding.assertBuckets(options.padding);
+            this.paddingBuckets = options.padding.slice();
+        } else {
+            this.paddingBuckets = options.padding ? padding.DEFAULT_BUCKETS : null;
+        }
         
         // Internal optimizations - cache and context
         this._cachedRecord = null;
@@ -68,10 +240,84 @@ class SessionCipher {
             encryptCount: 0,
             decryptCount: 0,
             cacheHits: 0,
-            cacheMisses: 0
+            cacheMisses: 0,
+            expiredMessageKeys: 0
         };
     }
 
+    /**
+     * Create ciphers for several addresses, e.g. the devices of one user,
+     * with their session records loaded up front.  Records are fetched with a
+     * single storage.loadSessions call when the store implements it, while
+     * the queues of all addresses are held, and are cached like any record
+     * the cipher loaded itself.
+     * @param {Object} storage - Storage object (see StorageAdapter)
+     * @param {ProtocolAddress[]} protocolAddresses - Remote addresses
+     * @param {Object} [options] - See constructor
+     * @returns {Promise<SessionCipher[]>} Ciphers in the order of protocolAddresses
+     */
+    static async preload(storage, protocolAddresses, options = {}) {
+        storage = StorageAdapter.wrap(storage, options);
+        const ciphers = protocolAddresses.map(addr => new this(storage, addr, options));
+        const keys = protocolAddresses.map(addr => addr.toString());
+        const records = await queueJobAll(keys, async () => await storage.loadSessions(keys));
+        const now = Date.now();
+        ciphers.forEach((cipher, i) => {
+            cipher._cachedRecord = records[i];
+            cipher._lastRecordUpdate = now;
+        });
+        return ciphers;
+    }
+
+    /**
+     * Encrypt one message for several devices of a user.  A device that
+     * fails doesn't stop the others.
+     * @param {Object} storage - Storage object (see StorageAdapter)
+     * @param {string} id - User id of the ProtocolAddresses
+     * @param {number[]} deviceIds - Devices to encrypt for
+     * @param {Buffer} data - Plaintext
+     * @param {Object} [options] - See constructor
+     * @returns {Promise<Object>} `results` maps device ids to encrypt()
+     *          results, `errors` maps device ids without a result to their
+     *          error; `noSession` and `untrusted` list the devices that failed
+     *          for lack of an open session and for an untrusted identity
+     */
+    static async encryptForDevices(storage, id, deviceIds, data, options = {}) {
+        assertBuffer(data);
+        const outcomes = new Map();
+        const addresses = new Map();
+        for (const deviceId of deviceIds) {
+            try {
+                addresses.set(deviceId, new ProtocolAddress(id, deviceId));
+            } catch (e) {
+                outcomes.set(deviceId, {error: e});
+            }
+        }
+        const ciphers = await this.preload(storage, Array.from(addresses.values()), options);
+        await Promise.all(Array.from(addresses.keys()).map(async (deviceId, i) => {
+            try {
+                outcomes.set(deviceId, {result: await ciphers[i].encrypt(data)});
+            } catch (e) {
+                outcomes.set(deviceId, {error: e});
+            }
+        }));
+        const fanout = {results: new Map(), errors: new Map(), noSession: [], untrusted: []};
+        for (const deviceId of deviceIds) {
+            const outcome = outcomes.get(deviceId);
+            if (outcome.result) {
+                fanout.results.set(deviceId, outcome.result);
+                continue;
+            }
+            fanout.errors.set(deviceId, outcome.error);
+            if (outcome.error instanceof errors.NoSessionError) {
+                fanout.noSession.push(deviceId);
+            } else if (outcome.error instanceof errors.UntrustedIdentityKeyError) {
+                fanout.untrusted.push(deviceId);
+            }
+        }
+        return fanout;
+    }
+
     _encodeTupleByte(number1, number2) {
         if (number1 > 15 || number2 > 15) {
             throw TypeError("Numbers must be 4 bits or less");
@@ -89,7 +335,7 @@ class SessionCipher {
 
     async getRecord(forceRefresh = false) {
         const now = Date.now();
-        
+
         // Use cache if recent and not forcing refresh
         if (!forceRefresh && 
             this._cachedRecord && 
@@ -100,9 +346,6 @@ class SessionCipher {
         
         this._metrics.cacheMisses++;
         const record = await this.storage.loadSession(this.addr.toString());
-        if (record && !(record instanceof SessionRecord)) {
-            throw new TypeError('SessionRecord type expected from loadSession'); 
-        }
         
         // Update cache
         this._cachedRecord = record;
@@ -111,13 +354,29 @@ class SessionCipher {
         return record;
     }
 
-    async storeRecord(record) {
+    /**
+     * Store record after dropping old sessions and the skipped message keys
+     * that are over the limits of this cipher
+     * @returns {Promise<number>} Number of skipped message keys dropped
+     */
+    async storeRecord(record, storage = this.storage) {
         record.removeOldSessions();
-        await this.storage.storeSession(this.addr.toString(), record);
+        let expired = 0;
+        for (const session of record.getSessions()) {
+            expired += session.pruneMessageKeys({
+                maxAge: this.limits.maxSkippedKeyAge,
+                maxPerChain: this.limits.maxSkippedKeysPerChain,
+                maxCount: this.limits.maxSkippedKeysPerSession,
+                now: this.clock()
+            });
+        }
+        this._metrics.expiredMessageKeys += expired;
+        await storage.storeSession(this.addr.toString(), record);
         
         // Update cache
         this._cachedRecord = record;
         this._lastRecordUpdate = Date.now();
+        return expired;
     }
 
     async queueJob(awaitable) {
@@ -132,52 +391,44 @@ class SessionCipher {
         return this._encryptionContext.ourIdentityKey;
     }
     
-    // Optimized fillMessageKeys with constants
-    fillMessageKeys(chain, counter) {
-        if (Object.keys(chain.messageKeys).length >= CONSTANTS.SESSION.MAX_MESSAGE_KEYS) {
-            throw new Error("Too many message keys for chain");
-        }
-        
-        if (chain.chainKey.counter >= counter) {
-            return;
-        }
-        
-        if (counter - chain.chainKey.counter > CONSTANTS.SESSION.MAX_MESSAGE_KEYS) {
-            throw new Error("Gap between counters too large");
-        }
-        
-        if (chain.chainKey.key) {
-            const key = chain.chainKey.key;
-            while (chain.chainKey.counter < counter) {
-                chain.messageKeys[chain.chainKey.counter + 1] = 
-                    cryptoEngine.deriveSecrets ? 
-                    cryptoEngine.deriveSecrets(key, Buffer.alloc(32), Buffer.from(CONSTANTS.MESSAGE_KEYS.DERIVE_INFO)) :
-                    crypto.deriveSecrets(key, Buffer.alloc(32), Buffer.from("WhisperMessageKeys"));
-                
-                chain.chainKey.key = cryptoEngine.calculateMAC ? 
-                    cryptoEngine.calculateMAC(key, Buffer.from([1])) :
-                    crypto.calculateMAC(key, Buffer.from([1]));
-                chain.chainKey.counter++;
-            }
-        }
+    async encrypt(data) {
+        return await this._encrypt(data, false);
     }
 
-    async encrypt(data) {
+    /**
+     * Tell the peer we are resetting the session: encrypt an end-session
+     * control message over the open session and close it.  The peer closes
+     * its matching session when it decrypts the message.  The next message
+     * to the peer needs a new session from SessionBuilder.
+     * @returns {Promise<Object>} Message as returned by encrypt
+     */
+    async encryptEndSession() {
+        return await this._encrypt(Buffer.alloc(0), true);
+    }
+
+    async _encrypt(data, endSession) {
         assertBuffer(data);
         const ourIdentityKey = await this.getOurIdentityKey(); // Use cached version
+        if (this.paddingBuckets) {
+            data = padding.pad(data, this.paddingBuckets);
+        }
         return await this.queueJob(async () => {
             this._metrics.encryptCount++;
             
             const record = await this.getRecord();
             if (!record) {
-                throw new errors.SessionError("No sessions");
+                throw new errors.NoSessionError('No sessions');
+            }
+            if (this.expireOpenSession(record)) {
+                await this.storeRecord(record);
             }
             const session = record.getOpenSession();
             if (!session) {
-                throw new errors.SessionError("No open session");
+                throw new errors.NoSessionError('No open session');
             }
             const remoteIdentityKey = session.indexInfo.remoteIdentityKey;
-            if (!await this.storage.isTrustedIdentity(this.addr.id, remoteIdentityKey)) {
+            if (!await this.storage.isTrustedIdentity(this.addr.id, remoteIdentityKey,
+                                                      Direction.SENDING)) {
                 throw new errors.UntrustedIdentityKeyError(this.addr.id, remoteIdentityKey);
             }
             const chain = session.getChain(session.currentRatchet.ephemeralKeyPair.pubKey);
@@ -185,19 +436,24 @@ class SessionCipher {
                 throw new Error("Tried to encrypt on a receiving chain");
             }
             this.fillMessageKeys(chain, chain.chainKey.counter + 1);
+            const rules = ProtocolVersion.rules(session.protocolVersion);
             
             // Use optimized crypto if available
             const keys = cryptoEngine.deriveSecrets ?
                 cryptoEngine.deriveSecrets(chain.messageKeys[chain.chainKey.counter],
-                                          Buffer.alloc(32), Buffer.from(CONSTANTS.MESSAGE_KEYS.DERIVE_INFO)) :
+                                          Buffer.alloc(32), Buffer.from(rules.messageKeysInfo)) :
                 crypto.deriveSecrets(chain.messageKeys[chain.chainKey.counter],
-                                    Buffer.alloc(32), Buffer.from("WhisperMessageKeys"));
+                                    Buffer.alloc(32), Buffer.from(rules.messageKeysInfo));
             
             delete chain.messageKeys[chain.chainKey.counter];
+            delete chain.messageKeyTimes[chain.chainKey.counter];
             const msg = protobufs.WhisperMessage.create();
             msg.ephemeralKey = session.currentRatchet.ephemeralKeyPair.pubKey;
             msg.counter = chain.chainKey.counter;
             msg.previousCounter = session.currentRatchet.previousCounter;
+            if (endSession) {
+                msg.endSession = true;
+            }
             
             // Use optimized encryption if available
             msg.ciphertext = cryptoEngine.encrypt ?
@@ -208,7 +464,7 @@ class SessionCipher {
             const macInput = Buffer.alloc(msgBuf.byteLength + (CONSTANTS.KEY_SIZES.PUBLIC_KEY * 2) + 1);
             macInput.set(ourIdentityKey.pubKey);
             macInput.set(session.indexInfo.remoteIdentityKey, CONSTANTS.KEY_SIZES.PUBLIC_KEY);
-            macInput[CONSTANTS.KEY_SIZES.PUBLIC_KEY * 2] = this._encodeTupleByte(VERSION, VERSION);
+            macInput[CONSTANTS.KEY_SIZES.PUBLIC_KEY * 2] = ProtocolVersion.macByte(session.protocolVersion);
             macInput.set(msgBuf, (CONSTANTS.KEY_SIZES.PUBLIC_KEY * 2) + 1);
             
             // Use optimized MAC calculation if available
@@ -217,9 +473,13 @@ class SessionCipher {
                 crypto.calculateMAC(keys[1], macInput);
                 
             const result = Buffer.alloc(msgBuf.byteLength + 9);
-            result[0] = this._encodeTupleByte(VERSION, VERSION);
+            result[0] = ProtocolVersion.RANGE_BYTE;
             result.set(msgBuf, 1);
             result.set(mac.slice(0, 8), msgBuf.byteLength + 1);
+            session.indexInfo.used = this.clock();
+            if (endSession) {
+                record.closeSession(session);
+            }
             await this.storeRecord(record);
             
             // Track last used counter for optimization
@@ -227,7 +487,7 @@ class SessionCipher {
             
             let type, body;
             if (session.pendingPreKey) {
-                type = 3;  // prekey bundle
+                type = MessageType.PREKEY_WHISPER;
                 const preKeyMsg = protobufs.PreKeyWhisperMessage.create({
                     identityKey: ourIdentityKey.pubKey,
                     registrationId: await this.storage.getOurRegistrationId(),
@@ -238,14 +498,18 @@ class SessionCipher {
                 if (session.pendingPreKey.preKeyId) {
                     preKeyMsg.preKeyId = session.pendingPreKey.preKeyId;
                 }
+                if (session.pendingPreKey.kyberCiphertext) {
+                    preKeyMsg.kyberPreKeyId = session.pendingPreKey.kyberPreKeyId;
+                    preKeyMsg.kyberCiphertext = session.pendingPreKey.kyberCiphertext;
+                }
                 body = Buffer.concat([
-                    Buffer.from([this._encodeTupleByte(VERSION, VERSION)]),
+                    Buffer.from([ProtocolVersion.RANGE_BYTE]),
                     Buffer.from(
                         protobufs.PreKeyWhisperMessage.encode(preKeyMsg).finish()
                     )
                 ]);
             } else {
-                type = 1;  // normal
+                type = MessageType.WHISPER;
                 body = result;
             }
             return {
@@ -267,7 +531,7 @@ class SessionCipher {
             let plaintext; 
             try {
                 plaintext = await this.doDecryptWhisperMessage(data, session);
-                session.indexInfo.used = Date.now();
+                session.indexInfo.used = this.clock();
                 return {
                     session,
                     plaintext
@@ -277,6 +541,12 @@ class SessionCipher {
             }
         }
         
+        // A replay is only detected by the session it belongs to; report that
+        // rather than a generic mismatch.
+        const duplicate = errs.find(e => e instanceof errors.DuplicateMessageError);
+        if (duplicate) {
+            throw duplicate;
+        }
         // Log errors for debugging but don't spam console
         if (errs.length > 0) {
             console.warn(`Failed to decrypt with ${errs.length} sessions:`, errs[0].message);
@@ -284,69 +554,312 @@ class SessionCipher {
         throw new errors.SessionError("No matching sessions found for message");
     }
 
+    /**
+     * Decrypt the output of encrypt() with the method matching its type
+     * @param {Object} message
+     * @param {number} message.type - MessageType
+     * @param {Buffer|BaseMessage} message.body - Encoded message, or a
+     *        WhisperMessage or PreKeyWhisperMessage from the messages module
+     * @returns {Promise<Buffer>} Plaintext
+     * @throws {UnknownMessageTypeError} If type isn't supported
+     */
+    async decrypt(message) {
+        return (await this.decryptWithMetadata(message)).plaintext;
+    }
+
+    /**
+     * Like decrypt(), see decryptWhisperMessageWithMetadata for the result
+     * @param {Object} message - `{type, body}` as for decrypt()
+     * @returns {Promise<Object>}
+     * @throws {UnknownMessageTypeError} If type isn't supported
+     */
+    async decryptWithMetadata({type, body}) {
+        switch (type) {
+            case MessageType.WHISPER:
+                return await this.decryptWhisperMessageWithMetadata(
+                    encodeMessage(body, messages.WhisperMessage));
+            case MessageType.PREKEY_WHISPER:
+                return await this.decryptPreKeyWhisperMessageWithMetadata(
+                    encodeMessage(body, messages.PreKeyWhisperMessage));
+            default:
+                throw new errors.UnknownMessageTypeError(type);
+        }
+    }
+
     async decryptWhisperMessage(data) {
+        return (await this.decryptWhisperMessageWithMetadata(data)).plaintext;
+    }
+
+    async decryptPreKeyWhisperMessage(data) {
+        return (await this.decryptPreKeyWhisperMessageWithMetadata(data)).plaintext;
+    }
+
+    /**
+     * Decrypt a WhisperMessage and describe how it was decrypted
+     * @param {Buffer} data - Encoded WhisperMessage
+     * @returns {Promise<Object>} Result with
+     *
+     *  - `plaintext`: Buffer
+     *  - `identityKey`: identity key of the sender
+     *  - `baseKey`: base key of the session that decrypted the message
+     *  - `counter` and `ratchetKey`: position of the message in the ratchet
+     *  - `newSession`: true if the message set up a new session
+     *  - `preKeyId` and `signedPreKeyId`: prekeys the new session used,
+     *    `preKeyId` is undefined without a one-time prekey
+     *  - `olderSession`: true if a closed session decrypted the message
+     *  - `identityChanged`: true if the sender's identity key was replaced
+     *  - `sessionReset`: true if the sender ended the session
+     */
+    async decryptWhisperMessageWithMetadata(data) {
         assertBuffer(data);
         return await this.queueJob(async () => {
-            this._metrics.decryptCount++;
-            
-            const record = await this.getRecord();
-            if (!record) {
-                throw new errors.SessionError("No session record");
-            }
-            const result = await this.decryptWithSessions(data, record.getSessions());
-            const remoteIdentityKey = result.session.indexInfo.remoteIdentityKey;
-            if (!await this.storage.isTrustedIdentity(this.addr.id, remoteIdentityKey)) {
-                throw new errors.UntrustedIdentityKeyError(this.addr.id, remoteIdentityKey);
-            }   
-            if (record.isClosed(result.session)) {
-                // It's possible for this to happen when processing a backlog of messages.
-                // The message was, hopefully, just sent back in a time when this session
-                // was the most current.  Simply make a note of it and continue.  If our
-                // actual open session is for reason invalid, that must be handled via
-                // a full SessionError response.
-               
+            let result;
+            try {
+                result = await this._decryptWhisperMessage(data, this.storage);
+            } catch (e) {
+                // The cached record may hold changes that were never stored.
+                this.clearCache();
+                throw e;
             }
-            await this.storeRecord(record);
-            return result.plaintext;
+            await this._notifyDecrypted(result);
+            return result;
         });
     }
 
-    async decryptPreKeyWhisperMessage(data) {
+    /**
+     * Decrypt a PreKeyWhisperMessage and describe how it was decrypted, see
+     * decryptWhisperMessageWithMetadata
+     * @param {Buffer} data - Encoded PreKeyWhisperMessage
+     * @returns {Promise<Object>}
+     */
+    async decryptPreKeyWhisperMessageWithMetadata(data) {
         assertBuffer(data);
-        const versions = this._decodeTupleByte(data[0]);
-        if (versions[1] > 3 || versions[0] < 3) {  // min version > 3 or max version < 3
-            throw new Error("Incompatible version number on PreKeyWhisperMessage");
-        }
+        this._assertPreKeyVersion(data);
         return await this.queueJob(async () => {
-            let record = await this.getRecord();
-            const preKeyProto = protobufs.PreKeyWhisperMessage.decode(data.slice(1));
-            if (!record) {
-                if (preKeyProto.registrationId == null) {
-                    throw new Error("No registrationId");
-                }
-                record = new SessionRecord();
+            let result;
+            try {
+                // The new session, the remote identity and the consumed
+                // one-time prekey are committed together, so a crash can't
+                // keep one without the others.
+                result = await this.storage.transaction(async tx =>
+                    await this._decryptPreKeyWhisperMessage(data, tx));
+            } catch (e) {
+                // The cached record may hold changes that were never committed.
+                this.clearCache();
+                throw e;
             }
-            const builder = new SessionBuilder(this.storage, this.addr);
-            const preKeyId = await builder.initIncoming(record, preKeyProto);
-            const session = record.getSession(preKeyProto.baseKey);
-            const plaintext = await this.doDecryptWhisperMessage(preKeyProto.message, session);
-            await this.storeRecord(record);
-            if (preKeyId) {
-                await this.storage.removePreKey(preKeyId);
+            await this._notifyDecrypted(result);
+            return result;
+        });
+    }
+
+    /**
+     * Decrypt a WhisperMessage without storing the updated session yet.
+     *
+     * Call `commit()` once the plaintext is safe, e.g. saved by the app, to
+     * store the session, or `abort()` to drop it so the message can be
+     * decrypted again.  Other operations for this address wait until one of
+     * them was called.
+     * @param {Buffer} data - Encoded WhisperMessage
+     * @returns {Promise<Object>} `plaintext`, `commit()` and `abort()`
+     */
+    async decryptWhisperMessageDeferred(data) {
+        assertBuffer(data);
+        return await this._decryptDeferred(tx => this._decryptWhisperMessage(data, tx));
+    }
+
+    /**
+     * Decrypt a PreKeyWhisperMessage without storing the new session, the
+     * remote identity or the removal of the one-time prekey yet; see
+     * decryptWhisperMessageDeferred
+     * @param {Buffer} data - Encoded PreKeyWhisperMessage
+     * @returns {Promise<Object>} `plaintext`, `commit()` and `abort()`
+     */
+    async decryptPreKeyWhisperMessageDeferred(data) {
+        assertBuffer(data);
+        this._assertPreKeyVersion(data);
+        return await this._decryptDeferred(tx => this._decryptPreKeyWhisperMessage(data, tx));
+    }
+
+    /**
+     * Run decrypt with the writes staged in a StorageTransaction and hold
+     * the queue of this address until the result is committed or aborted
+     */
+    _decryptDeferred(decrypt) {
+        return new Promise((resolve, reject) => this.queueJob(async () => {
+            const staged = new StorageTransaction(this.storage);
+            let result;
+            try {
+                result = await decrypt(staged);
+            } catch (e) {
+                this.clearCache();
+                reject(e);
+                return;
+            }
+            let release;
+            const released = new Promise(r => release = r);
+            let settled = false;
+            const settle = () => {
+                if (settled) {
+                    throw new Error('Decryption already committed or aborted');
+                }
+                settled = true;
+            };
+            resolve({
+                plaintext: result.plaintext,
+                commit: async () => {
+                    settle();
+                    try {
+                        await this.storage.transaction(async tx => await staged.applyTo(tx));
+                    } catch (e) {
+                        this.clearCache();
+                        throw e;
+                    } finally {
+                        release();
+                    }
+                    await this._notifyDecrypted(result);
+                },
+                abort: () => {
+                    settle();
+                    // The cached record holds the changes that were dropped.
+                    this.clearCache();
+                    release();
+                }
+            });
+            await released;
+        }));
+    }
+
+    async _decryptWhisperMessage(data, storage) {
+        this._metrics.decryptCount++;
+        // Report a version we can't handle rather than a failure of every session.
+        ProtocolVersion.decodeRange(data[0]);
+
+        const record = await this.getRecord();
+        if (!record) {
+            throw new errors.SessionError("No session record");
+        }
+        const result = await this.decryptWithSessions(data, record.getSessions());
+        const remoteIdentityKey = result.session.indexInfo.remoteIdentityKey;
+        if (!await storage.isTrustedIdentity(this.addr.id, remoteIdentityKey,
+                                             Direction.RECEIVING)) {
+            throw new errors.UntrustedIdentityKeyError(this.addr.id, remoteIdentityKey);
+        }   
+        if (record.isClosed(result.session)) {
+            // It's possible for this to happen when processing a backlog of messages.
+            // The message was, hopefully, just sent back in a time when this session
+            // was the most current.  Simply make a note of it and continue.  If our
+            // actual open session is for reason invalid, that must be handled via
+            // a full SessionError response.
+           
+        }
+        const plaintext = this._unpad(result.plaintext);
+        const olderSession = record.isClosed(result.session);
+        const sessionReset = this._isEndSession(data) && !olderSession;
+        if (sessionReset) {
+            record.closeSession(result.session);
+        }
+        await this.storeRecord(record, storage);
+        return Object.assign(this._messageMetadata(data, result.session), {
+            plaintext,
+            olderSession,
+            newSession: false,
+            identityChanged: false,
+            sessionReset
+        });
+    }
+
+    async _decryptPreKeyWhisperMessage(data, tx) {
+        let record = await this.getRecord();
+        const preKeyProto = protobufs.PreKeyWhisperMessage.decode(data.slice(1));
+        if (!record) {
+            if (preKeyProto.registrationId == null) {
+                throw new Error("No registrationId");
             }
-            return plaintext;
+            record = new SessionRecord();
+        }
+        const newSession = !record.getSession(preKeyProto.baseKey);
+        const builder = new SessionBuilder(tx, this.addr, {clock: this.clock});
+        const {preKeyId, kyberPreKeyId, identityChanged} = await builder.initIncoming(record, preKeyProto);
+        const session = record.getSession(preKeyProto.baseKey);
+        ProtocolVersion.assertInRange(session.protocolVersion, ProtocolVersion.decodeRange(data[0]));
+        const plaintext = this._unpad(await this.doDecryptWhisperMessage(preKeyProto.message, session));
+        const olderSession = record.isClosed(session);
+        const sessionReset = this._isEndSession(preKeyProto.message) && !olderSession;
+        if (sessionReset) {
+            record.closeSession(session);
+        }
+        await this.storeRecord(record, tx);
+        if (preKeyId) {
+            await tx.removePreKey(preKeyId, this.addr.toString());
+        }
+        return Object.assign(this._messageMetadata(preKeyProto.message, session), {
+            plaintext,
+            olderSession,
+            newSession,
+            preKeyId: newSession && preKeyId || undefined,
+            signedPreKeyId: newSession ? preKeyProto.signedPreKeyId : undefined,
+            kyberPreKeyId: newSession ? kyberPreKeyId : undefined,
+            identityChanged,
+            sessionReset
         });
     }
 
+    /**
+     * Metadata shared by all decrypt results, for a WhisperMessage that
+     * session decrypted
+     */
+    _messageMetadata(messageBuffer, session) {
+        const message = protobufs.WhisperMessage.decode(messageBuffer.slice(1, -8));
+        return {
+            identityKey: Buffer.from(session.indexInfo.remoteIdentityKey),
+            baseKey: Buffer.from(session.indexInfo.baseKey),
+            protocolVersion: session.protocolVersion,
+            counter: message.counter,
+            ratchetKey: Buffer.from(message.ephemeralKey),
+            preKeyId: undefined,
+            signedPreKeyId: undefined,
+            kyberPreKeyId: undefined
+        };
+    }
+
+    _unpad(plaintext) {
+        return this.paddingBuckets ? padding.unpad(plaintext, this.paddingBuckets) : plaintext;
+    }
+
+    _assertPreKeyVersion(data) {
+        ProtocolVersion.decodeRange(data[0]);
+    }
+
+    /**
+     * Call the onIdentityChange and onSessionReset callbacks once the
+     * result of a decrypt was stored
+     */
+    async _notifyDecrypted(result) {
+        if (result.identityChanged && this.onIdentityChange) {
+            await this.onIdentityChange(this.addr, Buffer.from(result.identityKey));
+        }
+        if (result.sessionReset && this.onSessionReset) {
+            await this.onSessionReset(this.addr);
+        }
+    }
+
+    /**
+     * Check for the end-session flag; only meaningful once the message was
+     * successfully decrypted, which proves the flag wasn't tampered with.
+     */
+    _isEndSession(messageBuffer) {
+        return !!protobufs.WhisperMessage.decode(messageBuffer.slice(1, -8)).endSession;
+    }
+
     async doDecryptWhisperMessage(messageBuffer, session) {
         assertBuffer(messageBuffer);
         if (!session) {
             throw new TypeError("session required");
         }
-        const versions = this._decodeTupleByte(messageBuffer[0]);
-        if (versions[1] > 3 || versions[0] < 3) {  // min version > 3 or max version < 3
-            throw new Error("Incompatible version number on WhisperMessage");
-        }
+        const range = ProtocolVersion.decodeRange(messageBuffer[0]);
+        ProtocolVersion.assertInRange(session.protocolVersion, range);
+        const rules = ProtocolVersion.rules(session.protocolVersion);
         const messageProto = messageBuffer.slice(1, -8);
         const message = protobufs.WhisperMessage.decode(messageProto);
         this.maybeStepRatchet(session, message.ephemeralKey, message.previousCounter);
@@ -356,24 +869,29 @@ class SessionCipher {
         }
         this.fillMessageKeys(chain, message.counter);
         if (!chain.messageKeys.hasOwnProperty(message.counter)) {
-            // Most likely the message was already decrypted and we are trying to process
-            // twice.  This can happen if the user restarts before the server gets an ACK.
+            if (isCounterUsed(chain, message.counter)) {
+                // The message was already decrypted and we are trying to process it
+                // twice.  This can happen if the user restarts before the server gets an ACK.
+                throw new errors.DuplicateMessageError(message.counter, message.ephemeralKey);
+            }
             throw new errors.MessageCounterError('Key used already or never filled');
         }
         const messageKey = chain.messageKeys[message.counter];
         delete chain.messageKeys[message.counter];
+        delete chain.messageKeyTimes[message.counter];
         const keys = crypto.deriveSecrets(messageKey, Buffer.alloc(32),
-                                          Buffer.from("WhisperMessageKeys"));
+                                          Buffer.from(rules.messageKeysInfo));
         const ourIdentityKey = await this.storage.getOurIdentity();
         const macInput = Buffer.alloc(messageProto.byteLength + (33 * 2) + 1);
         macInput.set(session.indexInfo.remoteIdentityKey);
         macInput.set(ourIdentityKey.pubKey, 33);
-        macInput[33 * 2] = this._encodeTupleByte(VERSION, VERSION);
+        macInput[33 * 2] = ProtocolVersion.macByte(session.protocolVersion);
         macInput.set(messageProto, (33 * 2) + 1);
         // This is where we most likely fail if the session is not a match.
         // Don't misinterpret this as corruption.
         crypto.verifyMAC(macInput, keys[1], messageBuffer.slice(-8), 8);
         const plaintext = crypto.decrypt(keys[0], message.ciphertext, keys[2].slice(0, 16));
+        markCounterUsed(chain, message.counter);
         delete session.pendingPreKey;
         return plaintext;
     }
@@ -382,17 +900,21 @@ class SessionCipher {
         if (chain.chainKey.counter >= counter) {
             return;
         }
-        if (counter - chain.chainKey.counter > 2000) {
-            throw new errors.SessionError('Over 2000 messages into the future!');
+        if (counter - chain.chainKey.counter > this.limits.maxForwardGap) {
+            throw new errors.MessageCounterError(
+                `Over ${this.limits.maxForwardGap} messages into the future!`);
         }
         if (chain.chainKey.key === undefined) {
-            throw new errors.SessionError('Chain closed');
+            throw new errors.MessageCounterError('Chain closed');
+        }
+        const now = this.clock();
+        while (chain.chainKey.counter < counter) {
+            const key = chain.chainKey.key;
+            chain.messageKeys[chain.chainKey.counter + 1] = crypto.calculateMAC(key, Buffer.from([1]));
+            chain.messageKeyTimes[chain.chainKey.counter + 1] = now;
+            chain.chainKey.key = crypto.calculateMAC(key, Buffer.from([2]));
+            chain.chainKey.counter += 1;
         }
-        const key = chain.chainKey.key;
-        chain.messageKeys[chain.chainKey.counter + 1] = crypto.calculateMAC(key, Buffer.from([1]));
-        chain.chainKey.key = crypto.calculateMAC(key, Buffer.from([2]));
-        chain.chainKey.counter += 1;
-        return this.fillMessageKeys(chain, counter);
     }
 
     maybeStepRatchet(session, remoteKey, previousCounter) {
@@ -406,10 +928,17 @@ class SessionCipher {
             delete previousRatchet.chainKey.key;  // Close
         }
         this.calculateRatchet(session, remoteKey, false);
+        const receiving = Array.from(session.chains()).filter(([, chain]) =>
+            chain.chainType === ChainType.RECEIVING);
+        for (const [key] of receiving.slice(0, -this.limits.maxReceiverChains)) {
+            session.deleteChain(key);
+        }
         // Now swap the ephemeral key and calculate the new sending chain
         const prevCounter = session.getChain(ratchet.ephemeralKeyPair.pubKey);
         if (prevCounter) {
-            ratchet.previousCounter = prevCounter.chainKey.counter;
+            // A chain we never sent on is at -1, which the uint32 field can't
+            // carry; after a key exchange either side may receive first.
+            ratchet.previousCounter = Math.max(prevCounter.chainKey.counter, 0);
             session.deleteChain(ratchet.ephemeralKeyPair.pubKey);
         }
         ratchet.ephemeralKeyPair = curve.generateKeyPair();
@@ -421,10 +950,12 @@ class SessionCipher {
         let ratchet = session.currentRatchet;
         const sharedSecret = curve.calculateAgreement(remoteKey, ratchet.ephemeralKeyPair.privKey);
         const masterKey = crypto.deriveSecrets(sharedSecret, ratchet.rootKey,
-                                               Buffer.from("WhisperRatchet"), /*chunks*/ 2);
+                                               Buffer.from(ProtocolVersion.rules(session.protocolVersion).ratchetInfo),
+                                               /*chunks*/ 2);
         const chainKey = sending ? ratchet.ephemeralKeyPair.pubKey : remoteKey;
         session.addChain(chainKey, {
             messageKeys: {},
+            messageKeyTimes: {},
             chainKey: {
                 counter: -1,
                 key: masterKey[1]
@@ -440,10 +971,41 @@ class SessionCipher {
             if (!record) {
                 return false;
             }
+            if (this.expireOpenSession(record)) {
+                await this.storeRecord(record);
+            }
             return record.haveOpenSession();
         });
     }
 
+    /**
+     * Check if session went unused for longer than maxSessionIdle, or was
+     * set up from a PreKey bundle more than maxUnacknowledgedSessionAge ago
+     * and never got a reply
+     * @param {SessionEntry} session
+     * @returns {boolean}
+     */
+    isStale(session) {
+        const now = this.clock();
+        const {used, created} = session.indexInfo;
+        return now - used > this.limits.maxSessionIdle ||
+               !!session.pendingPreKey && now - created > this.limits.maxUnacknowledgedSessionAge;
+    }
+
+    /**
+     * Close the open session of record if it is stale, see isStale
+     * @param {SessionRecord} record
+     * @returns {boolean} True if a session was closed
+     */
+    expireOpenSession(record) {
+        const session = record.getOpenSession();
+        if (!session || !this.isStale(session)) {
+            return false;
+        }
+        record.closeSession(session);
+        return true;
+    }
+
     async closeOpenSession() {
         return await this.queueJob(async () => {
             const record = await this.getRecord();
@@ -485,7 +1047,8 @@ class SessionCipher {
             encryptCount: 0,
             decryptCount: 0,
             cacheHits: 0,
-            cacheMisses: 0
+            cacheMisses: 0,
+            expiredMessageKeys: 0
         };
     }
     
@@ -1,9 +1,10 @@
 // vim: ts=4:sw=4
 
 const BaseKeyType = require('./base_key_type');
+const migrations = require('./session_record_migrations');
 
 const CLOSED_SESSIONS_MAX = 40;
-const SESSION_RECORD_VERSION = 'v1';
+const SESSION_RECORD_VERSION = 'v2';
 
 function assertBuffer(value) {
     if (!Buffer.isBuffer(value)) {
@@ -11,6 +12,20 @@ function assertBuffer(value) {
     }
 }
 
+function serializeKeyPair(keyPair) {
+    return {
+        pubKey: keyPair.pubKey.toString('base64'),
+        privKey: keyPair.privKey.toString('base64')
+    };
+}
+
+function deserializeKeyPair(data) {
+    return {
+        pubKey: Buffer.from(data.pubKey, 'base64'),
+        privKey: Buffer.from(data.privKey, 'base64')
+    };
+}
+
 
 class SessionEntry {
 
@@ -19,7 +34,6 @@ class SessionEntry {
         // Performance optimizations
         this._lastAccessed = Date.now();
         this._chainCount = 0;
-        this._serializedCache = null;
         this._serializationVersion = 0;
     }
 
@@ -74,6 +88,51 @@ class SessionEntry {
         }
     }
 
+    /**
+     * Drop skipped message keys that are older than maxAge, then the oldest
+     * ones over maxPerChain in a chain and over maxCount in the session.
+     * Keys without a creation time, from older records, count as created now.
+     * @param {Object} [limits]
+     * @param {number} [limits.maxAge] - Milliseconds
+     * @param {number} [limits.maxPerChain]
+     * @param {number} [limits.maxCount]
+     * @param {number} [limits.now] - Current time, defaults to Date.now()
+     * @returns {number} Number of keys dropped
+     */
+    pruneMessageKeys({maxAge = Infinity, maxPerChain = Infinity, maxCount = Infinity,
+                      now = Date.now()} = {}) {
+        const kept = [];
+        let dropped = 0;
+        for (const chain of Object.values(this._chains)) {
+            const times = chain.messageKeyTimes;
+            const counters = Object.keys(chain.messageKeys);
+            counters.forEach((counter, i) => {
+                if (times[counter] === undefined) {
+                    times[counter] = now;
+                }
+                if (now - times[counter] > maxAge || i < counters.length - maxPerChain) {
+                    delete chain.messageKeys[counter];
+                    dropped++;
+                } else {
+                    kept.push([times[counter], chain, counter]);
+                }
+            });
+            for (const counter of Object.keys(times)) {
+                if (!chain.messageKeys[counter]) {
+                    delete times[counter];
+                }
+            }
+        }
+        // Stable sort, ties stay in chain and counter order.
+        kept.sort((a, b) => a[0] - b[0]);
+        for (const [, chain, counter] of kept.slice(0, Math.max(0, kept.length - maxCount))) {
+            delete chain.messageKeys[counter];
+            delete chain.messageKeyTimes[counter];
+            dropped++;
+        }
+        return dropped;
+    }
+
     // Performance helpers
     getChainCount() {
         return this._chainCount;
@@ -84,18 +143,15 @@ class SessionEntry {
     }
 
     _invalidateCache() {
-        this._serializedCache = null;
         this._serializationVersion++;
     }
 
     serialize() {
-        // Use cache if available and valid
-        if (this._serializedCache !== null) {
-            return this._serializedCache;
-        }
-
+        // Chains and the current ratchet are mutated in place by SessionCipher,
+        // so a cached copy can't be trusted; always build a fresh one.
         const data = {
             registrationId: this.registrationId,
+            protocolVersion: this.protocolVersion,
             currentRatchet: {
                 ephemeralKeyPair: {
                     pubKey: this.currentRatchet.ephemeralKeyPair.pubKey.toString('base64'),
@@ -122,16 +178,17 @@ class SessionEntry {
         if (this.pendingPreKey) {
             data.pendingPreKey = Object.assign({}, this.pendingPreKey);
             data.pendingPreKey.baseKey = this.pendingPreKey.baseKey.toString('base64');
+            if (this.pendingPreKey.kyberCiphertext) {
+                data.pendingPreKey.kyberCiphertext = this.pendingPreKey.kyberCiphertext.toString('base64');
+            }
         }
-
-        // Cache the result
-        this._serializedCache = data;
         return data;
     }
 
     static deserialize(data) {
         const obj = new this();
         obj.registrationId = data.registrationId;
+        obj.protocolVersion = data.protocolVersion;
         obj.currentRatchet = {
             ephemeralKeyPair: {
                 pubKey: Buffer.from(data.currentRatchet.ephemeralKeyPair.pubKey, 'base64'),
@@ -153,13 +210,15 @@ class SessionEntry {
         if (data.pendingPreKey) {
             obj.pendingPreKey = Object.assign({}, data.pendingPreKey);
             obj.pendingPreKey.baseKey = Buffer.from(data.pendingPreKey.baseKey, 'base64');
+            if (data.pendingPreKey.kyberCiphertext) {
+                obj.pendingPreKey.kyberCiphertext = Buffer.from(data.pendingPreKey.kyberCiphertext, 'base64');
+            }
         }
 
         // Restore performance metadata
         obj._lastAccessed = data._lastAccessed || Date.now();
         obj._chainCount = data._chainCount || Object.keys(obj._chains).length;
         obj._serializationVersion = data._serializationVersion || 0;
-        obj._serializedCache = null; // Reset cache after deserialization
 
         return obj;
     }
@@ -178,8 +237,12 @@ class SessionEntry {
                     key: c.chainKey.key && c.chainKey.key.toString('base64')
                 },
                 chainType: c.chainType,
-                messageKeys: messageKeys
+                messageKeys: messageKeys,
+                messageKeyTimes: Object.assign({}, c.messageKeyTimes)
             };
+            if (c.usedCounters) {
+                r[key].usedCounters = c.usedCounters.map(range => range.slice());
+            }
         }
         return r;
     }
@@ -198,8 +261,13 @@ class SessionEntry {
                     key: c.chainKey.key && Buffer.from(c.chainKey.key, 'base64')
                 },
                 chainType: c.chainType,
-                messageKeys: messageKeys
+                messageKeys: messageKeys,
+                // Creation time of each skipped key, see pruneMessageKeys
+                messageKeyTimes: Object.assign({}, c.messageKeyTimes)
             };
+            if (c.usedCounters) {
+                r[key].usedCounters = c.usedCounters.map(range => range.slice());
+            }
         }
         return r;
     }
@@ -207,66 +275,117 @@ class SessionEntry {
 }
 
 
-const migrations = [{
-    version: 'v1',
-    migrate: function migrateV1(data) {
-        const sessions = data._sessions;
-        if (data.registrationId) {
-            for (const key in sessions) {
-                if (!sessions[key].registrationId) {
-                    sessions[key].registrationId = data.registrationId;
-                }
-            }
-        } else {
-            for (const key in sessions) {
-                if (sessions[key].indexInfo.closed === -1) {
-                    console.error('V1 session storage migration error: registrationId',
-                                  data.registrationId, 'for open session version',
-                                  data.version);
-                }
-            }
-        }
-    }
-}];
-
-
 class SessionRecord {
 
     static createEntry() {
         return new SessionEntry();
     }
 
-    static migrate(data) {
-        let run = (data.version === undefined);
-        for (let i = 0; i < migrations.length; ++i) {
-            if (run) {
-                console.info("Migrating session to:", migrations[i].version);
-                migrations[i].migrate(data);
-            } else if (migrations[i].version === data.version) {
-                run = true;
+    /**
+     * Migrate serialized record data, see session_record_migrations.js
+     * @param {Object} data - Serialized SessionRecord, changed in place
+     * @param {Object} [options] - targetVersion (defaults to the current
+     *        version) and dryRun
+     * @returns {Object} Migration report
+     */
+    static migrate(data, options = {}) {
+        return migrations.migrate(data, Object.assign({targetVersion: SESSION_RECORD_VERSION}, options));
+    }
+
+    /**
+     * Migrate every session in a store to the current record format.
+     *
+     * Records are read with loadSession.  Stores that hand out serialized data
+     * get it migrated and written back.  Stores that deserialize on load, like
+     * the bundled ones, already return migrated records; writing them back
+     * upgrades the stored data, and their migrationReport is included in the
+     * report.  Older target versions are written as
+     * serialized data, which only stores that keep data as given accept.
+     * @param {Object} storage - Store with loadSession and storeSession
+     * @param {Object} [options]
+     * @param {string[]} [options.addresses] - Sessions to migrate, defaults
+     *        to all when the store implements getSessionAddresses
+     * @param {string} [options.targetVersion] - Version to migrate to
+     * @param {boolean} [options.dryRun=false] - Only report, write nothing
+     * @returns {Promise<Object>} `reports` per address and `errors` for
+     *          records that failed to migrate
+     */
+    static async migrateStore(storage, options = {}) {
+        let addresses = options.addresses;
+        if (!addresses) {
+            if (typeof storage.getSessionAddresses !== 'function') {
+                throw new TypeError('addresses required for stores without getSessionAddresses');
+            }
+            addresses = await storage.getSessionAddresses();
+        }
+        const targetVersion = options.targetVersion || SESSION_RECORD_VERSION;
+        const result = {reports: [], errors: []};
+        for (const address of addresses) {
+            try {
+                const stored = await storage.loadSession(address);
+                if (stored == null) {
+                    continue;
+                }
+                let data = stored;
+                if (stored instanceof this) {
+                    data = stored.serialize();
+                } else if (typeof stored === 'string') {
+                    data = JSON.parse(stored);
+                }
+                const report = this.migrate(data, {targetVersion, dryRun: options.dryRun});
+                const loaded = stored instanceof this && stored.migrationReport;
+                if (loaded) {
+                    // The store migrated the record on load already.
+                    report.from = loaded.from;
+                    report.changed = report.from !== report.to;
+                    report.changes = loaded.changes.concat(report.changes);
+                    report.warnings = loaded.warnings.concat(report.warnings);
+                }
+                if (!options.dryRun && (report.changed || stored instanceof this)) {
+                    await storage.storeSession(address, targetVersion === SESSION_RECORD_VERSION ?
+                                                        this.deserialize(data) : data);
+                }
+                result.reports.push({address, report});
+            } catch (error) {
+                result.errors.push({address, error});
             }
         }
-        if (!run) {
-            throw new Error("Error migrating SessionRecord");
-        }
+        return result;
     }
 
+    /**
+     * @param {Object} data - Serialized SessionRecord of any known version;
+     *        older versions are migrated in place
+     * @returns {SessionRecord} Record whose migrationReport is the report of
+     *          that migration, if one ran
+     */
     static deserialize(data) {
-        if (data.version !== SESSION_RECORD_VERSION) {
-            this.migrate(data);
-        }
+        const migrationReport = data.version !== SESSION_RECORD_VERSION ? this.migrate(data) : null;
         const obj = new this();
+        obj.migrationReport = migrationReport;
         if (data._sessions) {
             for (const [key, entry] of Object.entries(data._sessions)) {
                 obj.sessions[key] = SessionEntry.deserialize(entry);
             }
         }
+        if (data.pendingKeyExchange) {
+            const pending = data.pendingKeyExchange;
+            obj.pendingKeyExchange = {
+                id: pending.id,
+                baseKeyPair: deserializeKeyPair(pending.baseKeyPair),
+                ephemeralKeyPair: deserializeKeyPair(pending.ephemeralKeyPair)
+            };
+        }
         return obj;
     }
 
     constructor() {
         this.sessions = {};
         this.version = SESSION_RECORD_VERSION;
+        // Set by deserialize, not serialized
+        this.migrationReport = null;
+        // Our half of a key exchange we started, see SessionBuilder.initKeyExchange
+        this.pendingKeyExchange = null;
         
         // Performance optimizations - cache para operações frequentes
         this._openSessionCache = null;
@@ -291,10 +410,19 @@ class SessionRecord {
         for (const [key, entry] of Object.entries(this.sessions)) {
             _sessions[key] = entry.serialize();
         }
-        return {
+        const data = {
             _sessions,
             version: this.version
         };
+        if (this.pendingKeyExchange) {
+            const pending = this.pendingKeyExchange;
+            data.pendingKeyExchange = {
+                id: pending.id,
+                baseKeyPair: serializeKeyPair(pending.baseKeyPair),
+                ephemeralKeyPair: serializeKeyPair(pending.ephemeralKeyPair)
+            };
+        }
+        return data;
     }
 
     haveOpenSession() {
@@ -0,0 +1,173 @@
+// vim: ts=4:sw=4:expandtab
+'use strict';
+
+const ProtocolVersion = require('./protocol_version');
+const errors = require('./errors');
+
+/**
+ * Version of records written before versioning was introduced; they have no
+ * `version` property.
+ */
+const INITIAL_VERSION = 'v0';
+
+/**
+ * Ordered list of serialized SessionRecord format changes.  Each step has
+ *
+ *  - `version`: the version it migrates to
+ *  - `forward(data, log)`: upgrade data from the previous version in place
+ *  - `backward(data, log)`: optional, undo forward in place
+ *  - `validate(data)`: throw if data isn't a valid record of this version
+ *
+ * `log.change(message)` and `log.warn(message)` add to the migration report.
+ * Add a step here and bump SESSION_RECORD_VERSION to change the format.
+ */
+const migrations = [{
+    version: 'v1',
+    forward(data, log) {
+        const sessions = data._sessions;
+        for (const key of Object.keys(sessions)) {
+            if (sessions[key].registrationId) {
+                continue;
+            }
+            if (data.registrationId) {
+                sessions[key].registrationId = data.registrationId;
+                log.change(`session ${key}: registrationId copied from record`);
+            } else if (sessions[key].indexInfo.closed === -1) {
+                log.warn(`session ${key}: open session without a registrationId`);
+            }
+        }
+        delete data.registrationId;
+    },
+    backward(data, log) {
+        for (const [key, session] of Object.entries(data._sessions)) {
+            if (session.indexInfo.closed === -1 && session.registrationId) {
+                data.registrationId = session.registrationId;
+                log.change(`registrationId copied from open session ${key}`);
+            }
+        }
+    },
+    validate(data) {
+        if (!data._sessions || typeof data._sessions !== 'object') {
+            throw new TypeError('_sessions missing');
+        }
+        for (const [key, session] of Object.entries(data._sessions)) {
+            if (!session.indexInfo || typeof session.indexInfo.baseKey !== 'string' ||
+                typeof session.indexInfo.closed !== 'number') {
+                throw new TypeError(`session ${key}: invalid indexInfo`);
+            }
+            if (!session.currentRatchet || !session._chains) {
+                throw new TypeError(`session ${key}: ratchet state missing`);
+            }
+        }
+    }
+}, {
+    version: 'v2',
+    forward(data, log) {
+        for (const [key, session] of Object.entries(data._sessions)) {
+            // Releases before v2 only set up version 3 sessions.
+            session.protocolVersion = ProtocolVersion.X3DH_VERSION;
+            log.change(`session ${key}: protocol version ${session.protocolVersion}`);
+        }
+    },
+    backward(data, log) {
+        for (const [key, session] of Object.entries(data._sessions)) {
+            if (session.protocolVersion !== 3) {
+                log.warn(`session ${key}: protocol version ${session.protocolVersion} ` +
+                         'sessions fail to decrypt with older releases');
+            }
+            delete session.protocolVersion;
+        }
+    },
+    validate(data) {
+        migrations[0].validate(data);
+        for (const [key, session] of Object.entries(data._sessions)) {
+            const version = session.protocolVersion;
+            if (!Number.isInteger(version) || version < ProtocolVersion.MIN_VERSION ||
+                version > ProtocolVersion.MAX_VERSION) {
+                throw new TypeError(`session ${key}: invalid protocolVersion ${version}`);
+            }
+        }
+    }
+}];
+
+const VERSIONS = [INITIAL_VERSION].concat(migrations.map(x => x.version));
+
+/**
+ * Migrate serialized SessionRecord data between versions.
+ *
+ * Steps run on a copy, which is validated after every step, and data is only
+ * replaced once all steps succeeded.
+ * @param {Object} data - Serialized SessionRecord
+ * @param {Object} [options]
+ * @param {string} [options.targetVersion] - Version to migrate to, defaults
+ *        to the newest one; older versions run the backward steps
+ * @param {boolean} [options.dryRun=false] - Leave data untouched and only
+ *        report what would change
+ * @returns {Object} Report with `from`, `to`, `changed`, and the `changes`
+ *          and `warnings` logged by the steps
+ * @throws {SessionMigrationError} If a version is unknown, a step can't be
+ *         undone or the result of a step doesn't validate
+ */
+function migrate(data, options = {}) {
+    const from = data.version === undefined ? INITIAL_VERSION : data.version;
+    const to = options.targetVersion || VERSIONS[VERSIONS.length - 1];
+    const start = VERSIONS.indexOf(from);
+    const end = VERSIONS.indexOf(to);
+    if (start === -1) {
+        throw new errors.SessionMigrationError(from, 'unknown session record version');
+    }
+    if (end === -1) {
+        throw new errors.SessionMigrationError(to, 'unknown target version');
+    }
+    const report = {from, to, dryRun: !!options.dryRun, changed: start !== end,
+                    changes: [], warnings: []};
+    const work = JSON.parse(JSON.stringify(data));
+    for (let i = start; i < end; i++) {
+        const step = migrations[i];
+        step.forward(work, logger(report, step.version));
+        work.version = step.version;
+        validate(work, step);
+    }
+    for (let i = start; i > end; i--) {
+        const step = migrations[i - 1];
+        if (!step.backward) {
+            throw new errors.SessionMigrationError(step.version, 'migration can not be undone');
+        }
+        step.backward(work, logger(report, step.version));
+        if (i - 1 === 0) {
+            delete work.version;
+        } else {
+            work.version = VERSIONS[i - 1];
+            validate(work, migrations[i - 2]);
+        }
+    }
+    if (report.changed && !options.dryRun) {
+        for (const key of Object.keys(data)) {
+            delete data[key];
+        }
+        Object.assign(data, work);
+    }
+    return report;
+}
+
+function validate(data, step) {
+    try {
+        step.validate(data);
+    } catch (e) {
+        throw new errors.SessionMigrationError(step.version, `validation failed: ${e.message}`);
+    }
+}
+
+function logger(report, version) {
+    return {
+        change: message => report.changes.push(`${version}: ${message}`),
+        warn: message => report.warnings.push(`${version}: ${message}`)
+    };
+}
+
+module.exports = {
+    INITIAL_VERSION,
+    VERSIONS,
+    migrations,
+    migrate
+};
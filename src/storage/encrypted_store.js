@@ -0,0 +1,306 @@
+// vim: ts=4:sw=4:expandtab
+'use strict';
+
+const SenderKeyRecord = require('../sender_key_record');
+const SessionRecord = require('../session_record');
+const StorageKeyRing = require('./storage_key_ring');
+const errors = require('../errors');
+
+/**
+ * Methods that are handed to the wrapped store untouched, when it has them.
+ */
+const PASSTHROUGH_METHODS = [
+    'loadIdentityKey',
+    'saveIdentity',
+    'removeIdentity',
+    'getVerified',
+    'setVerified',
+    'removeSignedPreKey',
+    'removeKyberPreKey',
+    'removeSession',
+    'removeAllSessions',
+    'getSessionAddresses'
+];
+
+const IDENTITY_CONTEXT = 'identity';
+
+/**
+ * Storage wrapper that keeps private key material encrypted at rest.
+ *
+ * Root keys, chain keys, skipped message keys, ratchet private keys, the keys
+ * of a pending key exchange and the private halves of identity, prekey, Kyber
+ * prekey and sender signing key pairs are sealed with a StorageKeyRing before
+ * they reach the wrapped store and opened again on load.  Everything else,
+ * including the record layout, is left as is, so any store that meets the
+ * SessionCipher contract can be wrapped.  Each sealed
+ * value is bound to its address and position in the record; a modified or
+ * swapped value raises a StorageIntegrityError on load.
+ */
+class EncryptedSignalProtocolStore {
+
+    /**
+     * Seal an identity key pair for use as the wrapped store's own identity
+     * @param {StorageKeyRing} keyRing - Key ring of the encrypted store
+     * @param {Object} keyPair - Identity key pair
+     * @returns {Object} Key pair with a sealed private key
+     */
+    static sealIdentityKeyPair(keyRing, keyPair) {
+        return {
+            pubKey: Buffer.from(keyPair.pubKey),
+            privKey: keyRing.seal(keyPair.privKey, IDENTITY_CONTEXT)
+        };
+    }
+
+    /**
+     * @param {Object} storage - Store to wrap
+     * @param {StorageKeyRing} keyRing - Keys used to seal values
+     * @param {Object} [options]
+     * @param {boolean} [options.allowPlaintext=false] - Accept values that
+     *        were stored before encryption was turned on
+     */
+    constructor(storage, keyRing, options = {}) {
+        if (!storage || typeof storage !== 'object') {
+            throw new TypeError('storage must be an object');
+        }
+        if (!(keyRing instanceof StorageKeyRing)) {
+            throw new TypeError('keyRing must be a StorageKeyRing');
+        }
+        this.storage = storage;
+        this.keyRing = keyRing;
+        this.allowPlaintext = !!options.allowPlaintext;
+        for (const method of PASSTHROUGH_METHODS) {
+            if (typeof storage[method] === 'function') {
+                this[method] = storage[method].bind(storage);
+            }
+        }
+        if (typeof storage.loadSessions === 'function') {
+            this.loadSessions = async addresses => {
+                const records = await storage.loadSessions(addresses);
+                return records.map((record, i) => record && this._transformRecord(record,
+                    addresses[i], (value, context) => this._open(value, context)));
+            };
+        }
+        if (typeof storage.loadKyberPreKey === 'function') {
+            this.loadKyberPreKey = async keyId => this._openKeyPair(
+                await storage.loadKyberPreKey(keyId), `kyberprekey|${keyId}`);
+        }
+        if (typeof storage.storeKyberPreKey === 'function') {
+            this.storeKyberPreKey = async (keyId, keyPair) => {
+                await storage.storeKyberPreKey(keyId,
+                    this._sealKeyPair(keyPair, `kyberprekey|${keyId}`));
+            };
+        }
+        if (typeof storage.loadSenderKey === 'function' &&
+            typeof storage.storeSenderKey === 'function') {
+            this.loadSenderKey = async senderKeyName => {
+                const record = await storage.loadSenderKey(senderKeyName);
+                return record && this._transformSenderKey(record, senderKeyName,
+                    (value, context) => this._open(value, context));
+            };
+            this.storeSenderKey = async (senderKeyName, record) => {
+                await storage.storeSenderKey(senderKeyName, this._transformSenderKey(record,
+                    senderKeyName, (value, context) => this.keyRing.seal(value, context)));
+            };
+        }
+        if (typeof storage.transaction === 'function') {
+            // Only advertise atomic commits when the wrapped store makes them.
+            this.transaction = fn => storage.transaction(tx =>
+                fn(new EncryptedSignalProtocolStore(tx, keyRing, options)));
+        }
+    }
+
+    // ========== IDENTITY ==========
+
+    async getOurIdentity() {
+        return this._openKeyPair(await this.storage.getOurIdentity(), IDENTITY_CONTEXT);
+    }
+
+    async getOurRegistrationId() {
+        return await this.storage.getOurRegistrationId();
+    }
+
+    async isTrustedIdentity(...args) {
+        return await this.storage.isTrustedIdentity(...args);
+    }
+
+    // ========== PREKEYS ==========
+
+    async loadPreKey(keyId) {
+        return this._openKeyPair(await this.storage.loadPreKey(keyId), `prekey|${keyId}`);
+    }
+
+    async storePreKey(keyId, keyPair) {
+        await this.storage.storePreKey(keyId, this._sealKeyPair(keyPair, `prekey|${keyId}`));
+    }
+
+    async removePreKey(keyId, address) {
+        await this.storage.removePreKey(keyId, address);
+    }
+
+    async loadSignedPreKey(keyId) {
+        return this._openKeyPair(await this.storage.loadSignedPreKey(keyId),
+                                 `signedprekey|${keyId}`);
+    }
+
+    async storeSignedPreKey(keyId, keyPair) {
+        await this.storage.storeSignedPreKey(keyId,
+            this._sealKeyPair(keyPair, `signedprekey|${keyId}`));
+    }
+
+    // ========== SESSIONS ==========
+
+    async loadSession(address) {
+        const record = await this.storage.loadSession(address);
+        if (!record) {
+            return record;
+        }
+        return this._transformRecord(record, address, (value, context) =>
+            this._open(value, context));
+    }
+
+    async storeSession(address, record) {
+        await this.storage.storeSession(address, this._transformRecord(record, address,
+            (value, context) => this.keyRing.seal(value, context)));
+    }
+
+    /**
+     * Seal stored values again under the key ring's current key, e.g. after
+     * adding a new key.  Our own identity key pair is owned by the wrapped
+     * store and has to be replaced there (see sealIdentityKeyPair).
+     * @param {Object} items
+     * @param {string[]} [items.addresses] - Session addresses, defaults to
+     *        every session when the wrapped store has getSessionAddresses
+     * @param {number[]} [items.preKeyIds] - Prekey IDs
+     * @param {number[]} [items.signedPreKeyIds] - Signed prekey IDs
+     * @param {number[]} [items.kyberPreKeyIds] - Kyber prekey IDs
+     * @param {string[]} [items.senderKeyNames] - Encoded SenderKeyNames
+     * @returns {Promise<Object>} Number of sessions, prekeys, signed prekeys,
+     *          Kyber prekeys and sender keys rewritten
+     */
+    async reencrypt(items = {}) {
+        let addresses = items.addresses;
+        if (!addresses && typeof this.storage.getSessionAddresses === 'function') {
+            addresses = await this.storage.getSessionAddresses();
+        }
+        const counts = {sessions: 0, preKeys: 0, signedPreKeys: 0, kyberPreKeys: 0, senderKeys: 0};
+        for (const address of addresses || []) {
+            const record = await this.loadSession(address);
+            if (record) {
+                await this.storeSession(address, record);
+                counts.sessions++;
+            }
+        }
+        for (const keyId of items.preKeyIds || []) {
+            const keyPair = await this.loadPreKey(keyId);
+            if (keyPair) {
+                await this.storePreKey(keyId, keyPair);
+                counts.preKeys++;
+            }
+        }
+        for (const keyId of items.signedPreKeyIds || []) {
+            const keyPair = await this.loadSignedPreKey(keyId);
+            if (keyPair) {
+                await this.storeSignedPreKey(keyId, keyPair);
+                counts.signedPreKeys++;
+            }
+        }
+        for (const keyId of items.kyberPreKeyIds || []) {
+            const keyPair = await this.loadKyberPreKey(keyId);
+            if (keyPair) {
+                await this.storeKyberPreKey(keyId, keyPair);
+                counts.kyberPreKeys++;
+            }
+        }
+        for (const senderKeyName of items.senderKeyNames || []) {
+            const record = await this.loadSenderKey(senderKeyName);
+            if (record) {
+                await this.storeSenderKey(senderKeyName, record);
+                counts.senderKeys++;
+            }
+        }
+        return counts;
+    }
+
+    // ========== SEALING ==========
+
+    _open(value, context) {
+        if (this.keyRing.isSealed(value)) {
+            return this.keyRing.open(value, context);
+        }
+        if (this.allowPlaintext) {
+            return value;
+        }
+        throw new errors.StorageIntegrityError(context, 'value is not sealed');
+    }
+
+    _openKeyPair(keyPair, context) {
+        if (!keyPair) {
+            return keyPair;
+        }
+        return {
+            pubKey: keyPair.pubKey,
+            privKey: this._open(keyPair.privKey, context)
+        };
+    }
+
+    _sealKeyPair(keyPair, context) {
+        return {
+            pubKey: keyPair.pubKey,
+            privKey: this.keyRing.seal(keyPair.privKey, context)
+        };
+    }
+
+    /**
+     * Copy a record, passing every secret through transform(value, context)
+     */
+    _transformRecord(record, address, transform) {
+        const data = record instanceof SessionRecord ? record.serialize() : record;
+        const copy = SessionRecord.deserialize(JSON.parse(JSON.stringify(data)));
+        for (const entry of Object.values(copy.sessions)) {
+            const prefix = `session|${address}|${entry.indexInfo.baseKey.toString('base64')}`;
+            const ratchet = entry.currentRatchet;
+            ratchet.rootKey = transform(ratchet.rootKey, `${prefix}|rootKey`);
+            ratchet.ephemeralKeyPair.privKey = transform(ratchet.ephemeralKeyPair.privKey,
+                                                         `${prefix}|ephemeralKey`);
+            for (const [chainId, chain] of entry.chains()) {
+                const chainPrefix = `${prefix}|chain|${chainId.toString('base64')}`;
+                if (chain.chainKey.key) {
+                    chain.chainKey.key = transform(chain.chainKey.key, `${chainPrefix}|key`);
+                }
+                for (const idx of Object.keys(chain.messageKeys)) {
+                    chain.messageKeys[idx] = transform(chain.messageKeys[idx],
+                                                       `${chainPrefix}|messageKey|${idx}`);
+                }
+            }
+        }
+        const pending = copy.pendingKeyExchange;
+        if (pending) {
+            const prefix = `keyexchange|${address}|${pending.id}`;
+            pending.baseKeyPair.privKey = transform(pending.baseKeyPair.privKey, `${prefix}|baseKey`);
+            pending.ephemeralKeyPair.privKey = transform(pending.ephemeralKeyPair.privKey,
+                                                         `${prefix}|ephemeralKey`);
+        }
+        return copy;
+    }
+
+    /**
+     * Copy a SenderKeyRecord, passing every secret through transform(value, context)
+     */
+    _transformSenderKey(record, senderKeyName, transform) {
+        const copy = SenderKeyRecord.deserialize(record.serialize());
+        for (const state of copy.states) {
+            const prefix = `senderkey|${senderKeyName}|${state.keyId}`;
+            state.chainKey.key = transform(state.chainKey.key, `${prefix}|chainKey`);
+            if (state.signingKey.privKey) {
+                state.signingKey.privKey = transform(state.signingKey.privKey,
+                                                     `${prefix}|signingKey`);
+            }
+            for (const [iteration, seed] of state.messageKeys) {
+                state.messageKeys.set(iteration, transform(seed, `${prefix}|messageKey|${iteration}`));
+            }
+        }
+        return copy;
+    }
+}
+
+module.exports = EncryptedSignalProtocolStore;
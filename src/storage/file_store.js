@@ -0,0 +1,512 @@
+// vim: ts=4:sw=4:expandtab
+'use strict';
+
+const fs = require('fs');
+const nodeCrypto = require('crypto');
+const path = require('path');
+const SenderKeyRecord = require('../sender_key_record');
+const SessionRecord = require('../session_record');
+const StorageTransaction = require('./storage_transaction');
+const ValidationUtils = require('../utils/validation_utils');
+const VerifiedStatus = require('../verified_status');
+const errors = require('../errors');
+const identityTrust = require('./identity_trust');
+const kem = require('../kem');
+
+const DIRS = {
+    sessions: 'sessions',
+    identities: 'identities',
+    preKeys: 'prekeys',
+    signedPreKeys: 'signed-prekeys',
+    kyberPreKeys: 'kyber-prekeys',
+    senderKeys: 'sender-keys',
+    journal: 'journal'
+};
+const LOCAL_IDENTITY_FILE = 'identity.json';
+const TMP_SUFFIX = '.tmp';
+
+/**
+ * Durable storage contract implementation backed by the local filesystem.
+ *
+ * Every value lives in its own JSON file (one per ProtocolAddress for
+ * sessions) and is replaced with write-to-temp, fsync, rename, so a crash
+ * leaves either the old or the new file, never a mix.  Temp files left behind
+ * by a crash are removed by open().  A file that still fails to parse raises
+ * a StorageIntegrityError and is left in place: treating a corrupt identity
+ * as missing would trust the next key for that address.
+ *
+ * Transactions are written to a journal file first and then applied; open()
+ * replays journals a crash left behind, so a transaction is either fully
+ * applied or not at all.
+ *
+ * Layout of the store directory:
+ *
+ *     identity.json            our identity key pair and registration ID
+ *     identities/<id>.json     remote identity keys
+ *     prekeys/<keyId>.json     one-time prekeys
+ *     signed-prekeys/<keyId>.json
+ *     kyber-prekeys/<keyId>.json
+ *     sessions/<address>.json  serialized SessionRecords
+ *     sender-keys/<name>.json  serialized SenderKeyRecords
+ *     journal/<txid>.json      transactions not fully applied yet
+ */
+class FileSignalProtocolStore {
+
+    /**
+     * Open (and create if needed) a store directory
+     * @param {string} directory - Store directory
+     * @param {Object} [options]
+     * @param {Object} [options.identityKeyPair] - Identity to save in a new store
+     * @param {number} [options.registrationId] - Registration ID to save in a new store
+     * @returns {Promise<FileSignalProtocolStore>} Ready to use store
+     */
+    static async open(directory, options = {}) {
+        const store = new this(directory);
+        await store._init(options);
+        return store;
+    }
+
+    constructor(directory) {
+        if (typeof directory !== 'string') {
+            throw new TypeError('directory must be a string');
+        }
+        this.directory = path.resolve(directory);
+        this._identity = null;
+    }
+
+    // ========== IDENTITY ==========
+
+    async getOurIdentity() {
+        this._assertOpen();
+        return {
+            pubKey: Buffer.from(this._identity.pubKey),
+            privKey: Buffer.from(this._identity.privKey)
+        };
+    }
+
+    async getOurRegistrationId() {
+        this._assertOpen();
+        return this._identity.registrationId;
+    }
+
+    /**
+     * Trust on first use, see InMemorySignalProtocolStore#isTrustedIdentity
+     */
+    async isTrustedIdentity(identifier, identityKey, direction) {
+        this._assertOpen();
+        ValidationUtils.assertBuffer(identityKey, 'identityKey');
+        return identityTrust.isTrusted(await this._readIdentity(identifier),
+                                       identityKey, direction);
+    }
+
+    async loadIdentityKey(identifier) {
+        this._assertOpen();
+        const record = await this._readIdentity(identifier);
+        return record && record.publicKey;
+    }
+
+    /**
+     * @returns {Promise<boolean>} True if a different key was replaced
+     */
+    async saveIdentity(identifier, identityKey) {
+        this._assertOpen();
+        ValidationUtils.assertPublicKey(identityKey);
+        const existing = await this._readIdentity(identifier);
+        const saved = identityTrust.saveIdentity(existing, identityKey);
+        if (saved.record !== existing) {
+            await this._write(DIRS.identities, identifier, encodeIdentity(saved.record));
+        }
+        return saved.changed;
+    }
+
+    async getVerified(identifier) {
+        this._assertOpen();
+        const record = await this._readIdentity(identifier);
+        return record && record.verified;
+    }
+
+    async setVerified(identifier, identityKey, status) {
+        this._assertOpen();
+        ValidationUtils.assertPublicKey(identityKey);
+        identityTrust.assertVerifiedStatus(status);
+        await this._write(DIRS.identities, identifier, encodeIdentity({
+            publicKey: identityKey,
+            verified: status
+        }));
+    }
+
+    async _readIdentity(identifier) {
+        const data = await this._read(DIRS.identities, identifier);
+        return data && {
+            publicKey: Buffer.from(data.publicKey, 'base64'),
+            // Identities saved before trust levels existed have no status.
+            verified: data.verified === undefined ? VerifiedStatus.DEFAULT : data.verified
+        };
+    }
+
+    async removeIdentity(identifier) {
+        this._assertOpen();
+        await this._remove(DIRS.identities, identifier);
+    }
+
+    // ========== PREKEYS ==========
+
+    async loadPreKey(keyId) {
+        this._assertOpen();
+        return decodeKeyPair(await this._read(DIRS.preKeys, keyId));
+    }
+
+    async storePreKey(keyId, keyPair) {
+        this._assertOpen();
+        ValidationUtils.assertNonNegativeInteger(keyId, 'keyId');
+        await this._write(DIRS.preKeys, keyId, encodeKeyPair(keyPair));
+    }
+
+    async removePreKey(keyId) {
+        this._assertOpen();
+        await this._remove(DIRS.preKeys, keyId);
+    }
+
+    // ========== SIGNED PREKEYS ==========
+
+    async loadSignedPreKey(keyId) {
+        this._assertOpen();
+        return decodeKeyPair(await this._read(DIRS.signedPreKeys, keyId));
+    }
+
+    async storeSignedPreKey(keyId, keyPair) {
+        this._assertOpen();
+        ValidationUtils.assertNonNegativeInteger(keyId, 'keyId');
+        await this._write(DIRS.signedPreKeys, keyId, encodeKeyPair(keyPair));
+    }
+
+    async removeSignedPreKey(keyId) {
+        this._assertOpen();
+        await this._remove(DIRS.signedPreKeys, keyId);
+    }
+
+    // ========== KYBER PREKEYS ==========
+
+    async loadKyberPreKey(keyId) {
+        this._assertOpen();
+        return decodeKeyPair(await this._read(DIRS.kyberPreKeys, keyId));
+    }
+
+    async storeKyberPreKey(keyId, keyPair) {
+        this._assertOpen();
+        ValidationUtils.assertNonNegativeInteger(keyId, 'keyId');
+        await this._write(DIRS.kyberPreKeys, keyId, encodeKeyPair(keyPair, kem.assertPublicKey));
+    }
+
+    async removeKyberPreKey(keyId) {
+        this._assertOpen();
+        await this._remove(DIRS.kyberPreKeys, keyId);
+    }
+
+    // ========== SESSIONS ==========
+
+    /**
+     * @param {string} address - Encoded ProtocolAddress (`id.deviceId`)
+     * @returns {Promise<SessionRecord|undefined>}
+     */
+    async loadSession(address) {
+        this._assertOpen();
+        const data = await this._read(DIRS.sessions, address);
+        return data && SessionRecord.deserialize(data);
+    }
+
+    /**
+     * Read the session files of several addresses concurrently
+     * @param {string[]} addresses - Encoded ProtocolAddresses
+     * @returns {Promise<Array<SessionRecord|undefined>>} Records in the order of addresses
+     */
+    async loadSessions(addresses) {
+        this._assertOpen();
+        return await Promise.all(addresses.map(address => this.loadSession(address)));
+    }
+
+    async storeSession(address, record) {
+        this._assertOpen();
+        ValidationUtils.assertInstanceOf(record, SessionRecord, 'record');
+        await this._write(DIRS.sessions, address, record.serialize());
+    }
+
+    async removeSession(address) {
+        this._assertOpen();
+        await this._remove(DIRS.sessions, address);
+    }
+
+    /**
+     * Remove the sessions of every device belonging to an identifier.
+     */
+    async removeAllSessions(identifier) {
+        this._assertOpen();
+        const prefix = `${identifier}.`;
+        for (const address of await this.getSessionAddresses()) {
+            if (address.startsWith(prefix)) {
+                await this.removeSession(address);
+            }
+        }
+    }
+
+    /**
+     * @returns {Promise<string[]>} Encoded addresses with a stored session
+     */
+    async getSessionAddresses() {
+        this._assertOpen();
+        const files = await fs.promises.readdir(path.join(this.directory, DIRS.sessions));
+        return files.filter(x => x.endsWith('.json')).map(x => decodeName(x.slice(0, -5)));
+    }
+
+    // ========== SENDER KEYS ==========
+
+    /**
+     * @param {string} senderKeyName - Encoded SenderKeyName
+     * @returns {Promise<SenderKeyRecord|undefined>}
+     */
+    async loadSenderKey(senderKeyName) {
+        this._assertOpen();
+        const data = await this._read(DIRS.senderKeys, senderKeyName);
+        return data && SenderKeyRecord.deserialize(data);
+    }
+
+    async storeSenderKey(senderKeyName, record) {
+        this._assertOpen();
+        ValidationUtils.assertInstanceOf(record, SenderKeyRecord, 'record');
+        await this._write(DIRS.senderKeys, senderKeyName, record.serialize());
+    }
+
+    // ========== TRANSACTIONS ==========
+
+    /**
+     * Run fn with a staged view of the store and commit everything it wrote
+     * through a journal when it resolves.  Nothing is written if fn throws.
+     * @param {Function} fn - Async function receiving a StorageTransaction
+     * @returns {Promise<*>} Result of fn
+     */
+    async transaction(fn) {
+        this._assertOpen();
+        const tx = new StorageTransaction(this);
+        const result = await fn(tx);
+        if (!tx.isEmpty()) {
+            const changes = tx.changes();
+            const ops = [];
+            for (const [identifier, identityKey] of changes.identities) {
+                ValidationUtils.assertPublicKey(identityKey);
+                const saved = identityTrust.saveIdentity(await this._readIdentity(identifier),
+                                                         identityKey);
+                ops.push({dir: DIRS.identities, name: identifier, data: encodeIdentity(saved.record)});
+            }
+            for (const [address, record] of changes.sessions) {
+                ValidationUtils.assertInstanceOf(record, SessionRecord, 'record');
+                ops.push({dir: DIRS.sessions, name: address, data: record.serialize()});
+            }
+            for (const keyId of changes.removedPreKeys) {
+                ops.push({dir: DIRS.preKeys, name: keyId, remove: true});
+            }
+            await this._commit(ops);
+        }
+        return result;
+    }
+
+    async _commit(ops) {
+        // Journal names sort in commit order, which replay relies on.
+        const txid = `${Date.now().toString().padStart(15, '0')}-${nodeCrypto.randomBytes(6).toString('hex')}`;
+        const journal = path.join(this.directory, DIRS.journal, `${txid}.json`);
+        await writeJSONAtomic(journal, ops);  // Commit point
+        await this._applyJournal(journal, ops);
+    }
+
+    async _applyJournal(journal, ops) {
+        for (const op of ops) {
+            if (op.remove) {
+                await this._remove(op.dir, op.name);
+            } else {
+                await this._write(op.dir, op.name, op.data);
+            }
+        }
+        await fs.promises.unlink(journal);
+        await fsyncDir(path.dirname(journal));
+    }
+
+    async _replayJournals() {
+        const dir = path.join(this.directory, DIRS.journal);
+        for (const file of (await fs.promises.readdir(dir)).filter(x => x.endsWith('.json')).sort()) {
+            const journal = path.join(dir, file);
+            const ops = await readJSON(journal);
+            if (ops) {
+                await this._applyJournal(journal, ops);
+            }
+        }
+    }
+
+    // ========== FILE HANDLING ==========
+
+    async _init(options) {
+        await fs.promises.mkdir(this.directory, {recursive: true, mode: 0o700});
+        for (const dir of Object.values(DIRS)) {
+            const dirPath = path.join(this.directory, dir);
+            await fs.promises.mkdir(dirPath, {recursive: true, mode: 0o700});
+            await removeTempFiles(dirPath);
+        }
+        await removeTempFiles(this.directory);
+        await this._replayJournals();
+        const identityFile = path.join(this.directory, LOCAL_IDENTITY_FILE);
+        let identity = await readJSON(identityFile);
+        if (identity) {
+            identity = {
+                pubKey: Buffer.from(identity.pubKey, 'base64'),
+                privKey: Buffer.from(identity.privKey, 'base64'),
+                registrationId: identity.registrationId
+            };
+            if (options.identityKeyPair &&
+                !options.identityKeyPair.pubKey.equals(identity.pubKey)) {
+                throw new Error(`${this.directory} holds a different identity key`);
+            }
+        } else {
+            if (!options.identityKeyPair || options.registrationId === undefined) {
+                throw new Error(`No identity stored in ${this.directory}: ` +
+                                'identityKeyPair and registrationId are required');
+            }
+            ValidationUtils.assertNonNegativeInteger(options.registrationId, 'registrationId');
+            const data = Object.assign(encodeKeyPair(options.identityKeyPair), {
+                registrationId: options.registrationId
+            });
+            await writeJSONAtomic(identityFile, data);
+            identity = Object.assign(decodeKeyPair(data), {registrationId: data.registrationId});
+        }
+        this._identity = identity;
+    }
+
+    _assertOpen() {
+        if (!this._identity) {
+            throw new Error('Store not opened, use FileSignalProtocolStore.open()');
+        }
+    }
+
+    _path(dir, name) {
+        return path.join(this.directory, dir, `${encodeName(String(name))}.json`);
+    }
+
+    async _read(dir, name) {
+        return await readJSON(this._path(dir, name));
+    }
+
+    async _write(dir, name, data) {
+        await writeJSONAtomic(this._path(dir, name), data);
+    }
+
+    async _remove(dir, name) {
+        const file = this._path(dir, name);
+        try {
+            await fs.promises.unlink(file);
+        } catch (e) {
+            if (e.code === 'ENOENT') {
+                return;
+            }
+            throw e;
+        }
+        await fsyncDir(path.dirname(file));
+    }
+}
+
+function encodeName(name) {
+    // encodeURIComponent leaves `*` alone, which Windows rejects in file names.
+    return encodeURIComponent(name).replace(/\*/g, '%2A');
+}
+
+function decodeName(name) {
+    return decodeURIComponent(name);
+}
+
+function encodeIdentity(record) {
+    return {
+        publicKey: record.publicKey.toString('base64'),
+        verified: record.verified
+    };
+}
+
+function encodeKeyPair(keyPair,
+                       assertPublicKey = pubKey => ValidationUtils.assertPublicKey(pubKey)) {
+    if (!keyPair || typeof keyPair !== 'object') {
+        throw new TypeError('keyPair must be an object');
+    }
+    assertPublicKey(keyPair.pubKey);
+    // Private keys may be sealed by EncryptedSignalProtocolStore.
+    ValidationUtils.assertBuffer(keyPair.privKey, 'privKey');
+    return {
+        pubKey: keyPair.pubKey.toString('base64'),
+        privKey: keyPair.privKey.toString('base64')
+    };
+}
+
+function decodeKeyPair(data) {
+    if (!data) {
+        return undefined;
+    }
+    return {
+        pubKey: Buffer.from(data.pubKey, 'base64'),
+        privKey: Buffer.from(data.privKey, 'base64')
+    };
+}
+
+async function readJSON(file) {
+    let text;
+    try {
+        text = await fs.promises.readFile(file, 'utf8');
+    } catch (e) {
+        if (e.code === 'ENOENT') {
+            return undefined;
+        }
+        throw e;
+    }
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        // Only possible if something outside of this store wrote the file.
+        throw new errors.StorageIntegrityError(file, `unreadable file: ${e.message}`);
+    }
+}
+
+async function writeJSONAtomic(file, data) {
+    const tmp = `${file}.${nodeCrypto.randomBytes(6).toString('hex')}${TMP_SUFFIX}`;
+    const handle = await fs.promises.open(tmp, 'w', 0o600);
+    try {
+        await handle.writeFile(JSON.stringify(data));
+        await handle.sync();
+    } catch (e) {
+        await handle.close();
+        await fs.promises.unlink(tmp).catch(() => {});
+        throw e;
+    }
+    await handle.close();
+    await fs.promises.rename(tmp, file);
+    await fsyncDir(path.dirname(file));
+}
+
+async function fsyncDir(dir) {
+    let handle;
+    try {
+        handle = await fs.promises.open(dir, 'r');
+        await handle.sync();
+    } catch (e) {
+        // Directories can't be opened or synced on some platforms (Windows).
+        if (!['EISDIR', 'EPERM', 'EACCES', 'EINVAL'].includes(e.code)) {
+            throw e;
+        }
+    } finally {
+        if (handle) {
+            await handle.close();
+        }
+    }
+}
+
+async function removeTempFiles(dir) {
+    for (const file of await fs.promises.readdir(dir)) {
+        if (file.endsWith(TMP_SUFFIX)) {
+            await fs.promises.unlink(path.join(dir, file)).catch(() => {});
+        }
+    }
+}
+
+module.exports = FileSignalProtocolStore;
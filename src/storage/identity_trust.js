@@ -0,0 +1,67 @@
+// vim: ts=4:sw=4:expandtab
+'use strict';
+
+const Direction = require('../direction');
+const VerifiedStatus = require('../verified_status');
+
+/**
+ * Trust on first use policy of the bundled stores.
+ *
+ * Identities are kept as `{publicKey, verified}` records.  Receiving is always
+ * allowed, so messages from a contact whose key changed still arrive.  Sending
+ * is allowed to the key we have on record unless it is UNVERIFIED, and to any
+ * key for an address we have never seen.
+ */
+
+/**
+ * @param {Object} [record] - Stored identity record
+ * @param {Buffer} identityKey - Remote identity key
+ * @param {number} [direction] - Direction; calls without one are treated as
+ *        SENDING, the stricter of the two
+ * @returns {boolean} True if the key is trusted
+ */
+function isTrusted(record, identityKey, direction) {
+    if (direction === Direction.RECEIVING || !record) {
+        return true;
+    }
+    return record.publicKey.equals(identityKey) &&
+           record.verified !== VerifiedStatus.UNVERIFIED;
+}
+
+/**
+ * Record for a key accepted with saveIdentity.  A verified contact whose key
+ * changes becomes UNVERIFIED, which blocks sending until it is verified again
+ * or reset to DEFAULT.
+ * @param {Object} [record] - Stored identity record
+ * @param {Buffer} identityKey - Remote identity key
+ * @returns {Object} New record and whether a different key was replaced
+ */
+function saveIdentity(record, identityKey) {
+    if (record && record.publicKey.equals(identityKey)) {
+        return {record, changed: false};
+    }
+    let verified = VerifiedStatus.DEFAULT;
+    if (record && record.verified !== VerifiedStatus.DEFAULT) {
+        verified = VerifiedStatus.UNVERIFIED;
+    }
+    return {
+        record: {publicKey: Buffer.from(identityKey), verified},
+        changed: !!record
+    };
+}
+
+/**
+ * @param {number} status - Value to check
+ * @throws {TypeError} If status isn't a VerifiedStatus
+ */
+function assertVerifiedStatus(status) {
+    if (!Object.values(VerifiedStatus).includes(status)) {
+        throw new TypeError(`Invalid verified status: ${status}`);
+    }
+}
+
+module.exports = {
+    isTrusted,
+    saveIdentity,
+    assertVerifiedStatus
+};
@@ -0,0 +1,27 @@
+// vim: ts=4:sw=4:expandtab
+'use strict';
+
+/**
+ * Storage module exports
+ * Reference implementations of the SessionCipher/SessionBuilder storage contract
+ */
+
+const EncryptedSignalProtocolStore = require('./encrypted_store');
+const FileSignalProtocolStore = require('./file_store');
+const InMemorySignalProtocolStore = require('./memory_store');
+const ObservableSignalProtocolStore = require('./observable_store');
+const SenderKeyStorageAdapter = require('./sender_key_storage_adapter');
+const StorageAdapter = require('./storage_adapter');
+const StorageKeyRing = require('./storage_key_ring');
+const StorageTransaction = require('./storage_transaction');
+
+module.exports = {
+    EncryptedSignalProtocolStore,
+    FileSignalProtocolStore,
+    InMemorySignalProtocolStore,
+    ObservableSignalProtocolStore,
+    SenderKeyStorageAdapter,
+    StorageAdapter,
+    StorageKeyRing,
+    StorageTransaction
+};
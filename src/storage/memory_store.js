@@ -0,0 +1,270 @@
+// vim: ts=4:sw=4:expandtab
+'use strict';
+
+const SenderKeyRecord = require('../sender_key_record');
+const SessionRecord = require('../session_record');
+const StorageTransaction = require('./storage_transaction');
+const ValidationUtils = require('../utils/validation_utils');
+const identityTrust = require('./identity_trust');
+const kem = require('../kem');
+
+/**
+ * Reference in-memory implementation of the storage contract used by
+ * SessionCipher and SessionBuilder.
+ *
+ * Sessions are kept as serialized SessionRecord JSON so every load hands out
+ * a fresh SessionRecord, exactly like a database backed store would.  Key
+ * material is copied on the way in and out so callers can't mutate the
+ * stored state by accident.
+ */
+class InMemorySignalProtocolStore {
+
+    /**
+     * @param {Object} identityKeyPair - Our identity key pair ({pubKey, privKey})
+     * @param {number} registrationId - Our registration ID
+     */
+    constructor(identityKeyPair, registrationId) {
+        assertKeyPair(identityKeyPair, 'identityKeyPair');
+        ValidationUtils.assertNonNegativeInteger(registrationId, 'registrationId');
+        this._identityKeyPair = copyKeyPair(identityKeyPair);
+        this._registrationId = registrationId;
+        this._identities = new Map();
+        this._preKeys = new Map();
+        this._signedPreKeys = new Map();
+        this._kyberPreKeys = new Map();
+        this._sessions = new Map();
+        this._senderKeys = new Map();
+    }
+
+    // ========== IDENTITY ==========
+
+    async getOurIdentity() {
+        return copyKeyPair(this._identityKeyPair);
+    }
+
+    async getOurRegistrationId() {
+        return this._registrationId;
+    }
+
+    /**
+     * Trust on first use, see identity_trust.js
+     * @param {string} identifier - User id of the remote ProtocolAddress
+     * @param {Buffer} identityKey - Remote identity key
+     * @param {number} [direction] - Direction.SENDING or Direction.RECEIVING
+     */
+    async isTrustedIdentity(identifier, identityKey, direction) {
+        ValidationUtils.assertBuffer(identityKey, 'identityKey');
+        return identityTrust.isTrusted(this._identities.get(String(identifier)),
+                                       identityKey, direction);
+    }
+
+    async loadIdentityKey(identifier) {
+        const record = this._identities.get(String(identifier));
+        return record && Buffer.from(record.publicKey);
+    }
+
+    /**
+     * @returns {Promise<boolean>} True if a different key was replaced
+     */
+    async saveIdentity(identifier, identityKey) {
+        ValidationUtils.assertPublicKey(identityKey);
+        return this._saveIdentity(String(identifier), identityKey);
+    }
+
+    /**
+     * @returns {Promise<number|undefined>} VerifiedStatus of the stored key
+     */
+    async getVerified(identifier) {
+        const record = this._identities.get(String(identifier));
+        return record && record.verified;
+    }
+
+    /**
+     * Store an identity key with the given VerifiedStatus, e.g. after the
+     * user compared safety numbers
+     */
+    async setVerified(identifier, identityKey, status) {
+        ValidationUtils.assertPublicKey(identityKey);
+        identityTrust.assertVerifiedStatus(status);
+        this._identities.set(String(identifier), {
+            publicKey: Buffer.from(identityKey),
+            verified: status
+        });
+    }
+
+    _saveIdentity(identifier, identityKey) {
+        const saved = identityTrust.saveIdentity(this._identities.get(identifier), identityKey);
+        this._identities.set(identifier, saved.record);
+        return saved.changed;
+    }
+
+    async removeIdentity(identifier) {
+        this._identities.delete(String(identifier));
+    }
+
+    // ========== PREKEYS ==========
+
+    async loadPreKey(keyId) {
+        const keyPair = this._preKeys.get(keyId);
+        return keyPair && copyKeyPair(keyPair);
+    }
+
+    async storePreKey(keyId, keyPair) {
+        ValidationUtils.assertNonNegativeInteger(keyId, 'keyId');
+        assertKeyPair(keyPair, 'keyPair');
+        this._preKeys.set(keyId, copyKeyPair(keyPair));
+    }
+
+    async removePreKey(keyId) {
+        this._preKeys.delete(keyId);
+    }
+
+    // ========== SIGNED PREKEYS ==========
+
+    async loadSignedPreKey(keyId) {
+        const keyPair = this._signedPreKeys.get(keyId);
+        return keyPair && copyKeyPair(keyPair);
+    }
+
+    async storeSignedPreKey(keyId, keyPair) {
+        ValidationUtils.assertNonNegativeInteger(keyId, 'keyId');
+        assertKeyPair(keyPair, 'keyPair');
+        this._signedPreKeys.set(keyId, copyKeyPair(keyPair));
+    }
+
+    async removeSignedPreKey(keyId) {
+        this._signedPreKeys.delete(keyId);
+    }
+
+    // ========== KYBER PREKEYS ==========
+
+    async loadKyberPreKey(keyId) {
+        const keyPair = this._kyberPreKeys.get(keyId);
+        return keyPair && copyKeyPair(keyPair);
+    }
+
+    async storeKyberPreKey(keyId, keyPair) {
+        ValidationUtils.assertNonNegativeInteger(keyId, 'keyId');
+        assertKeyPair(keyPair, 'keyPair', kem.assertPublicKey);
+        this._kyberPreKeys.set(keyId, copyKeyPair(keyPair));
+    }
+
+    async removeKyberPreKey(keyId) {
+        this._kyberPreKeys.delete(keyId);
+    }
+
+    // ========== SESSIONS ==========
+
+    /**
+     * @param {string} address - Encoded ProtocolAddress (`id.deviceId`)
+     * @returns {Promise<SessionRecord|undefined>}
+     */
+    async loadSession(address) {
+        const data = this._sessions.get(String(address));
+        return data && SessionRecord.deserialize(JSON.parse(data));
+    }
+
+    /**
+     * @param {string[]} addresses - Encoded ProtocolAddresses
+     * @returns {Promise<Array<SessionRecord|undefined>>} Records in the order of addresses
+     */
+    async loadSessions(addresses) {
+        return await Promise.all(addresses.map(address => this.loadSession(address)));
+    }
+
+    async storeSession(address, record) {
+        ValidationUtils.assertInstanceOf(record, SessionRecord, 'record');
+        this._sessions.set(String(address), JSON.stringify(record.serialize()));
+    }
+
+    async removeSession(address) {
+        this._sessions.delete(String(address));
+    }
+
+    /**
+     * Remove the sessions of every device belonging to an identifier.
+     */
+    async removeAllSessions(identifier) {
+        const prefix = `${identifier}.`;
+        for (const address of Array.from(this._sessions.keys())) {
+            if (address.startsWith(prefix)) {
+                this._sessions.delete(address);
+            }
+        }
+    }
+
+    /**
+     * @returns {Promise<string[]>} Encoded addresses with a stored session
+     */
+    async getSessionAddresses() {
+        return Array.from(this._sessions.keys());
+    }
+
+    // ========== SENDER KEYS ==========
+
+    /**
+     * @param {string} senderKeyName - Encoded SenderKeyName
+     * @returns {Promise<SenderKeyRecord|undefined>}
+     */
+    async loadSenderKey(senderKeyName) {
+        const data = this._senderKeys.get(String(senderKeyName));
+        return data && SenderKeyRecord.deserialize(JSON.parse(data));
+    }
+
+    async storeSenderKey(senderKeyName, record) {
+        ValidationUtils.assertInstanceOf(record, SenderKeyRecord, 'record');
+        this._senderKeys.set(String(senderKeyName), JSON.stringify(record.serialize()));
+    }
+
+    // ========== TRANSACTIONS ==========
+
+    /**
+     * Run fn with a staged view of the store and apply everything it wrote
+     * at once when it resolves.  Nothing is applied if fn throws.
+     * @param {Function} fn - Async function receiving a StorageTransaction
+     * @returns {Promise<*>} Result of fn
+     */
+    async transaction(fn) {
+        const tx = new StorageTransaction(this);
+        const result = await fn(tx);
+        const changes = tx.changes();
+        for (const [, identityKey] of changes.identities) {
+            ValidationUtils.assertPublicKey(identityKey);
+        }
+        // Serialize up front so the apply below can't fail halfway.
+        const sessions = changes.sessions.map(([address, record]) => {
+            ValidationUtils.assertInstanceOf(record, SessionRecord, 'record');
+            return [address, JSON.stringify(record.serialize())];
+        });
+        for (const [identifier, identityKey] of changes.identities) {
+            this._saveIdentity(identifier, identityKey);
+        }
+        for (const [address, data] of sessions) {
+            this._sessions.set(address, data);
+        }
+        for (const keyId of changes.removedPreKeys) {
+            this._preKeys.delete(keyId);
+        }
+        return result;
+    }
+}
+
+function assertKeyPair(keyPair, paramName,
+                       assertPublicKey = pubKey => ValidationUtils.assertPublicKey(pubKey)) {
+    if (!keyPair || typeof keyPair !== 'object') {
+        throw new TypeError(`${paramName} must be an object`);
+    }
+    assertPublicKey(keyPair.pubKey);
+    // Only the type is checked: EncryptedSignalProtocolStore hands us sealed
+    // private keys, which are longer than 32 bytes.
+    ValidationUtils.assertBuffer(keyPair.privKey, 'privKey');
+}
+
+function copyKeyPair(keyPair) {
+    return {
+        pubKey: Buffer.from(keyPair.pubKey),
+        privKey: Buffer.from(keyPair.privKey)
+    };
+}
+
+module.exports = InMemorySignalProtocolStore;
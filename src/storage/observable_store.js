@@ -0,0 +1,267 @@
+// vim: ts=4:sw=4:expandtab
+'use strict';
+
+const EventEmitter = require('events');
+const ProtocolAddress = require('../protocol_address');
+const SessionRecord = require('../session_record');
+const errors = require('../errors');
+
+/**
+ * Methods that are handed to the wrapped store untouched, when it has them.
+ */
+const PASSTHROUGH_METHODS = [
+    'getOurIdentity',
+    'getOurRegistrationId',
+    'isTrustedIdentity',
+    'loadIdentityKey',
+    'getVerified',
+    'removeIdentity',
+    'loadPreKey',
+    'storePreKey',
+    'loadSignedPreKey',
+    'storeSignedPreKey',
+    'removeSignedPreKey',
+    'loadKyberPreKey',
+    'storeKyberPreKey',
+    'removeKyberPreKey',
+    'getSessionAddresses',
+    'loadSenderKey',
+    'storeSenderKey'
+];
+
+const Events = {
+    SESSION: 'session',
+    PREKEY: 'prekey',
+    IDENTITY: 'identity',
+    VERIFIED: 'verified'
+};
+
+/**
+ * Storage wrapper that emits an event for every change to session, prekey
+ * and identity state:
+ *
+ *  - `session`: the open session of an address changed, with
+ *    `{address, baseKey, previousBaseKey, remoteIdentityKey}`; `baseKey` is
+ *    null when the address has no open session anymore.
+ *  - `prekey`: a one-time prekey was consumed, with `{keyId, address}`.
+ *  - `identity`: an identity key was saved, with
+ *    `{address, identityKey, changed}`.
+ *  - `verified`: the verified status of an identity was set, with
+ *    `{address, identityKey, verified}`.
+ *
+ * `address` is a ProtocolAddress, the identifier as given when it isn't an
+ * encoded ProtocolAddress, e.g. an identity saved by user id, or undefined
+ * for a prekey removed without one.  Events are emitted once the write succeeded; writes made in a
+ * transaction are reported after it committed and not at all if it failed.
+ *
+ * The previous session of an address is the one this wrapper last loaded or
+ * stored for it, so all writes must go through the wrapper: one made to the
+ * wrapped store directly goes unnoticed and the next `session` event reports
+ * the wrong `previousBaseKey`.
+ */
+class ObservableSignalProtocolStore extends EventEmitter {
+
+    /**
+     * @param {Object} storage - Store to wrap
+     */
+    constructor(storage) {
+        super();
+        if (!storage || typeof storage !== 'object') {
+            throw new TypeError('storage must be an object');
+        }
+        this.storage = storage;
+        // Base key of the open session per address, null for none.
+        this._openBaseKeys = new Map();
+        this._parent = null;
+        this._pending = null;
+        for (const method of PASSTHROUGH_METHODS) {
+            if (typeof storage[method] === 'function') {
+                this[method] = storage[method].bind(storage);
+            }
+        }
+        if (typeof storage.loadSessions === 'function') {
+            this.loadSessions = async addresses => {
+                const records = await storage.loadSessions(addresses);
+                if (!Array.isArray(records) || records.length !== addresses.length) {
+                    throw new errors.StorageError('loadSessions',
+                        `expected an array of ${addresses.length} records`);
+                }
+                addresses.forEach((address, i) =>
+                    this._setOpen(address, baseKeyOf(openSession(records[i]))));
+                return records;
+            };
+        }
+        if (typeof storage.removeAllSessions === 'function') {
+            this.removeAllSessions = this._removeAllSessions;
+        }
+        if (typeof storage.saveIdentity === 'function') {
+            this.saveIdentity = this._saveIdentity;
+        }
+        if (typeof storage.setVerified === 'function') {
+            this.setVerified = this._setVerified;
+        }
+        if (typeof storage.transaction === 'function') {
+            this.transaction = this._transaction;
+        }
+    }
+
+    // ========== SESSIONS ==========
+
+    async loadSession(address) {
+        const record = await this.storage.loadSession(address);
+        this._setOpen(address, baseKeyOf(openSession(record)));
+        return record;
+    }
+
+    async storeSession(address, record) {
+        const previous = await this._getOpen(address);
+        await this.storage.storeSession(address, record);
+        const session = openSession(record);
+        this._setOpen(address, baseKeyOf(session));
+        this._sessionChanged(address, previous, session);
+    }
+
+    async removeSession(address) {
+        const previous = await this._getOpen(address);
+        await this.storage.removeSession(address);
+        this._setOpen(address, null);
+        this._sessionChanged(address, previous, null);
+    }
+
+    async _removeAllSessions(identifier) {
+        const prefix = `${identifier}.`;
+        const removed = [];
+        if (typeof this.storage.getSessionAddresses === 'function') {
+            for (const address of await this.storage.getSessionAddresses()) {
+                if (String(address).startsWith(prefix)) {
+                    removed.push([address, await this._getOpen(address)]);
+                }
+            }
+        }
+        await this.storage.removeAllSessions(identifier);
+        for (const [address, previous] of removed) {
+            this._setOpen(address, null);
+            this._sessionChanged(address, previous, null);
+        }
+    }
+
+    // ========== PREKEYS ==========
+
+    /**
+     * @param {number} keyId - Prekey ID
+     * @param {string} [address] - Encoded ProtocolAddress that consumed the key
+     */
+    async removePreKey(keyId, address) {
+        const summary = {keyId, address: address && addressOf(address)};
+        await this.storage.removePreKey(keyId, address);
+        this._notify(Events.PREKEY, summary);
+    }
+
+    // ========== IDENTITY ==========
+
+    async _saveIdentity(identifier, identityKey) {
+        const address = addressOf(identifier);
+        const changed = await this.storage.saveIdentity(identifier, identityKey);
+        this._notify(Events.IDENTITY, {address, identityKey, changed});
+        return changed;
+    }
+
+    async _setVerified(identifier, identityKey, verified) {
+        const address = addressOf(identifier);
+        await this.storage.setVerified(identifier, identityKey, verified);
+        this._notify(Events.VERIFIED, {address, identityKey, verified});
+    }
+
+    // ========== TRANSACTIONS ==========
+
+    async _transaction(fn) {
+        let view;
+        const result = await this.storage.transaction(async tx => {
+            view = new ObservableSignalProtocolStore(tx);
+            view._parent = this;
+            view._pending = [];
+            return await fn(view);
+        });
+        for (const [address, baseKey] of view._openBaseKeys) {
+            this._setOpen(address, baseKey);
+        }
+        for (const [event, summary] of view._pending) {
+            this._notify(event, summary);
+        }
+        return result;
+    }
+
+    // ========== EVENTS ==========
+
+    _notify(event, summary) {
+        if (this._pending) {
+            this._pending.push([event, summary]);
+        } else {
+            this.emit(event, summary);
+        }
+    }
+
+    _sessionChanged(address, previous, session) {
+        const baseKey = baseKeyOf(session);
+        if (!previous && !baseKey ||
+            previous && baseKey && previous.equals(baseKey)) {
+            return;
+        }
+        this._notify(Events.SESSION, {
+            address: addressOf(address),
+            baseKey,
+            previousBaseKey: previous,
+            remoteIdentityKey: session ? session.indexInfo.remoteIdentityKey : null
+        });
+    }
+
+    /**
+     * Base key of the open session we last saw for address.  Only an address
+     * this wrapper hasn't seen yet is read from the wrapped store.
+     */
+    async _getOpen(address) {
+        for (let store = this; store; store = store._parent) {
+            if (store._openBaseKeys.has(String(address))) {
+                return store._openBaseKeys.get(String(address));
+            }
+        }
+        const baseKey = baseKeyOf(openSession(await this.storage.loadSession(address)));
+        this._setOpen(address, baseKey);
+        return baseKey;
+    }
+
+    _setOpen(address, baseKey) {
+        this._openBaseKeys.set(String(address), baseKey);
+    }
+}
+
+/**
+ * ProtocolAddress of an encoded address, or identifier itself if it isn't one
+ */
+function addressOf(identifier) {
+    try {
+        return ProtocolAddress.from(String(identifier));
+    } catch {
+        return identifier;
+    }
+}
+
+function openSession(record) {
+    if (record == null) {
+        return null;
+    }
+    if (!(record instanceof SessionRecord)) {
+        // Deserialize a copy: migrating would change the store's data in place.
+        record = SessionRecord.deserialize(JSON.parse(typeof record === 'string' ?
+                                                      record : JSON.stringify(record)));
+    }
+    return record.getOpenSession();
+}
+
+function baseKeyOf(session) {
+    return session ? Buffer.from(session.indexInfo.baseKey) : null;
+}
+
+ObservableSignalProtocolStore.Events = Events;
+
+module.exports = ObservableSignalProtocolStore;
@@ -0,0 +1,69 @@
+// vim: ts=4:sw=4:expandtab
+'use strict';
+
+const SenderKeyRecord = require('../sender_key_record');
+const errors = require('../errors');
+
+/**
+ * Methods every storage object handed to GroupCipher/GroupSessionBuilder
+ * must implement.
+ */
+const REQUIRED_METHODS = [
+    'loadSenderKey',
+    'storeSenderKey'
+];
+
+/**
+ * Counterpart of StorageAdapter for the sender key contract:
+ *
+ *  - `loadSenderKey(senderKeyName)` returns a SenderKeyRecord or undefined
+ *  - `storeSenderKey(senderKeyName, record)`
+ *
+ * where `senderKeyName` is an encoded SenderKeyName.
+ */
+class SenderKeyStorageAdapter {
+
+    /**
+     * Wrap a storage object unless it is already an adapter
+     * @param {Object} storage - Storage object or SenderKeyStorageAdapter
+     * @returns {SenderKeyStorageAdapter}
+     */
+    static wrap(storage) {
+        if (storage instanceof SenderKeyStorageAdapter) {
+            return storage;
+        }
+        return new SenderKeyStorageAdapter(storage);
+    }
+
+    /**
+     * @param {Object} storage - Storage object implementing the contract
+     * @throws {StorageError} If a required method is missing
+     */
+    constructor(storage) {
+        if (!storage || typeof storage !== 'object') {
+            throw new TypeError('storage must be an object');
+        }
+        for (const method of REQUIRED_METHODS) {
+            if (typeof storage[method] !== 'function') {
+                throw new errors.StorageError(method, 'required storage method is missing');
+            }
+        }
+        this.storage = storage;
+    }
+
+    async loadSenderKey(senderKeyName) {
+        const record = await this.storage.loadSenderKey(String(senderKeyName));
+        if (record != null && !(record instanceof SenderKeyRecord)) {
+            throw new errors.StorageError('loadSenderKey', 'expected a SenderKeyRecord');
+        }
+        return record;
+    }
+
+    async storeSenderKey(senderKeyName, record) {
+        await this.storage.storeSenderKey(String(senderKeyName), record);
+    }
+}
+
+SenderKeyStorageAdapter.REQUIRED_METHODS = REQUIRED_METHODS;
+
+module.exports = SenderKeyStorageAdapter;
@@ -0,0 +1,264 @@
+// vim: ts=4:sw=4:expandtab
+'use strict';
+
+const CONSTANTS = require('../constants/protocol_constants');
+const SessionRecord = require('../session_record');
+const StorageTransaction = require('./storage_transaction');
+const ValidationUtils = require('../utils/validation_utils');
+const errors = require('../errors');
+const kem = require('../kem');
+
+/**
+ * Methods every storage object handed to SessionCipher/SessionBuilder must
+ * implement.
+ */
+const REQUIRED_METHODS = [
+    'getOurIdentity',
+    'getOurRegistrationId',
+    'isTrustedIdentity',
+    'loadPreKey',
+    'removePreKey',
+    'loadSignedPreKey',
+    'loadSession',
+    'storeSession'
+];
+
+/**
+ * Storage adapter - validates a storage object against the contract used by
+ * SessionCipher and SessionBuilder.
+ *
+ * Missing methods are reported when the adapter is created and malformed
+ * return values when they are produced, so a broken store fails with a
+ * StorageError naming the offending method instead of a TypeError deep
+ * inside the ratchet.
+ */
+class StorageAdapter {
+
+    /**
+     * Wrap a storage object unless it is already an adapter
+     * @param {Object} storage - Storage object or StorageAdapter
+     * @param {Object} [options] - See constructor
+     * @returns {StorageAdapter} Adapter for the storage object
+     */
+    static wrap(storage, options) {
+        if (storage instanceof StorageAdapter) {
+            return storage;
+        }
+        return new StorageAdapter(storage, options);
+    }
+
+    /**
+     * @param {Object} storage - Storage object implementing the contract
+     * @param {Object} [options]
+     * @param {boolean} [options.deserializeSessions=false] - Accept plain
+     *        serialized records from loadSession and deserialize them
+     * @throws {StorageError} If a required method is missing
+     */
+    constructor(storage, options = {}) {
+        if (!storage || typeof storage !== 'object') {
+            throw new TypeError('storage must be an object');
+        }
+        for (const method of REQUIRED_METHODS) {
+            if (typeof storage[method] !== 'function') {
+                throw new errors.StorageError(method, 'required storage method is missing');
+            }
+        }
+        this.storage = storage;
+        this.deserializeSessions = !!options.deserializeSessions;
+    }
+
+    async getOurIdentity() {
+        const keyPair = await this.storage.getOurIdentity();
+        return assertKeyPair('getOurIdentity', keyPair);
+    }
+
+    async getOurRegistrationId() {
+        const registrationId = await this.storage.getOurRegistrationId();
+        check('getOurRegistrationId', () =>
+            ValidationUtils.assertNonNegativeInteger(registrationId, 'registrationId'));
+        return registrationId;
+    }
+
+    async isTrustedIdentity(identifier, identityKey, direction) {
+        const trusted = await this.storage.isTrustedIdentity(identifier, identityKey, direction);
+        if (typeof trusted !== 'boolean') {
+            throw new errors.StorageError('isTrustedIdentity',
+                `expected a boolean, got: ${describe(trusted)}`);
+        }
+        return trusted;
+    }
+
+    /**
+     * Load a remote identity key, if the store implements loadIdentityKey
+     * @returns {Promise<Buffer|undefined>} Stored key
+     */
+    async loadIdentityKey(identifier) {
+        if (typeof this.storage.loadIdentityKey !== 'function') {
+            return undefined;
+        }
+        const identityKey = await this.storage.loadIdentityKey(identifier);
+        if (identityKey != null) {
+            check('loadIdentityKey', () => ValidationUtils.assertPublicKey(identityKey));
+        }
+        return identityKey == null ? undefined : identityKey;
+    }
+
+    /**
+     * Record the identity key accepted for a remote address.  Stores without
+     * saveIdentity don't record anything.
+     * @returns {Promise<boolean>} True if a different key was replaced
+     */
+    async saveIdentity(identifier, identityKey) {
+        if (typeof this.storage.saveIdentity !== 'function') {
+            return false;
+        }
+        const changed = await this.storage.saveIdentity(identifier, identityKey);
+        if (typeof changed !== 'boolean') {
+            throw new errors.StorageError('saveIdentity',
+                `expected a boolean, got: ${describe(changed)}`);
+        }
+        return changed;
+    }
+
+    async loadPreKey(keyId) {
+        const keyPair = await this.storage.loadPreKey(keyId);
+        return keyPair == null ? undefined : assertKeyPair('loadPreKey', keyPair);
+    }
+
+    /**
+     * @param {number} keyId - Prekey ID
+     * @param {string} [address] - Encoded ProtocolAddress that consumed the
+     *        key, for stores that want to know
+     */
+    async removePreKey(keyId, address) {
+        await this.storage.removePreKey(keyId, address);
+    }
+
+    async loadSignedPreKey(keyId) {
+        const keyPair = await this.storage.loadSignedPreKey(keyId);
+        return keyPair == null ? undefined : assertKeyPair('loadSignedPreKey', keyPair);
+    }
+
+    /**
+     * Load a Kyber prekey.  Only stores that publish Kyber prekeys in their
+     * bundles, and so receive PQXDH sessions, need loadKyberPreKey.
+     * @throws {StorageError} If the store doesn't implement loadKyberPreKey
+     */
+    async loadKyberPreKey(keyId) {
+        if (typeof this.storage.loadKyberPreKey !== 'function') {
+            throw new errors.StorageError('loadKyberPreKey', 'required storage method is missing');
+        }
+        const keyPair = await this.storage.loadKyberPreKey(keyId);
+        if (keyPair == null) {
+            return undefined;
+        }
+        check('loadKyberPreKey', () => {
+            if (typeof keyPair !== 'object') {
+                throw new TypeError(`expected a key pair, got: ${describe(keyPair)}`);
+            }
+            kem.assertPublicKey(keyPair.pubKey);
+            ValidationUtils.assertBufferLength(keyPair.privKey, CONSTANTS.KYBER.PRIVATE_KEY, 'privKey');
+        });
+        return keyPair;
+    }
+
+    async loadSession(address) {
+        return this._checkRecord('loadSession', await this.storage.loadSession(address));
+    }
+
+    /**
+     * Load the sessions of several addresses, in one call if the store
+     * implements loadSessions and one loadSession call per address otherwise
+     * @param {string[]} addresses - Encoded ProtocolAddresses
+     * @returns {Promise<Array<SessionRecord|undefined>>} Records in the order
+     *          of addresses
+     */
+    async loadSessions(addresses) {
+        if (typeof this.storage.loadSessions !== 'function') {
+            const records = [];
+            for (const address of addresses) {
+                records.push(await this.loadSession(address));
+            }
+            return records;
+        }
+        const records = await this.storage.loadSessions(addresses);
+        if (!Array.isArray(records) || records.length !== addresses.length) {
+            throw new errors.StorageError('loadSessions',
+                `expected an array of ${addresses.length} records, got: ${describe(records)}`);
+        }
+        return records.map(record => this._checkRecord('loadSessions', record));
+    }
+
+    async storeSession(address, record) {
+        ValidationUtils.assertInstanceOf(record, SessionRecord, 'record');
+        await this.storage.storeSession(address, record);
+    }
+
+    _checkRecord(method, record) {
+        if (record == null || record instanceof SessionRecord) {
+            return record == null ? undefined : record;
+        }
+        if (!this.deserializeSessions) {
+            throw new errors.StorageError(method,
+                `expected a SessionRecord, got: ${describe(record)}`);
+        }
+        try {
+            const data = typeof record === 'string' ? JSON.parse(record) : record;
+            return SessionRecord.deserialize(data);
+        } catch (e) {
+            throw new errors.StorageError(method,
+                `could not deserialize session record: ${e.message}`);
+        }
+    }
+
+    /**
+     * Run fn with a transactional view of the store.  Writes made through the
+     * view are committed together when fn resolves and dropped if it throws.
+     *
+     * Stores opt in by implementing `transaction(fn)` with those semantics.
+     * For other stores the writes are still staged until fn resolves, but are
+     * then applied one by one, so a crash can leave them half applied.
+     * @param {Function} fn - Async function receiving the view
+     * @returns {Promise<*>} Result of fn
+     */
+    async transaction(fn) {
+        if (typeof this.storage.transaction === 'function') {
+            return await this.storage.transaction(async tx =>
+                await fn(new StorageAdapter(tx, {deserializeSessions: this.deserializeSessions})));
+        }
+        const tx = new StorageTransaction(this);
+        const result = await fn(tx);
+        await tx.applyTo(this);
+        return result;
+    }
+}
+
+function check(method, validate) {
+    try {
+        validate();
+    } catch (e) {
+        throw new errors.StorageError(method, e.message);
+    }
+}
+
+function assertKeyPair(method, keyPair) {
+    check(method, () => {
+        if (!keyPair || typeof keyPair !== 'object') {
+            throw new TypeError(`expected a key pair, got: ${describe(keyPair)}`);
+        }
+        ValidationUtils.assertPublicKey(keyPair.pubKey);
+        ValidationUtils.assertPrivateKey(keyPair.privKey);
+    });
+    return keyPair;
+}
+
+function describe(value) {
+    if (value === null || value === undefined) {
+        return String(value);
+    }
+    return value.constructor ? value.constructor.name : typeof value;
+}
+
+StorageAdapter.REQUIRED_METHODS = REQUIRED_METHODS;
+
+module.exports = StorageAdapter;
@@ -0,0 +1,167 @@
+// vim: ts=4:sw=4:expandtab
+'use strict';
+
+const nodeCrypto = require('crypto');
+const ValidationUtils = require('../utils/validation_utils');
+const errors = require('../errors');
+
+const FORMAT_VERSION = 1;
+const KEY_SIZE = 32;
+const KEY_ID_SIZE = 4;
+const IV_SIZE = 12;
+const TAG_SIZE = 16;
+const HEADER_SIZE = 1 + KEY_ID_SIZE + IV_SIZE;
+const SCRYPT_DEFAULTS = {N: 1 << 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024};
+
+/**
+ * Set of storage encryption keys.
+ *
+ * Values are sealed with AES-256-GCM under the current key; any key in the
+ * ring can open them, so a new key can be made current without losing access
+ * to data written under the old one.  Sealed values are laid out as
+ *
+ *     version (1) | key id (4) | iv (12) | ciphertext | tag (16)
+ */
+class StorageKeyRing {
+
+    /**
+     * Derive a storage key from a passphrase with scrypt
+     * @param {string|Buffer} passphrase - Passphrase
+     * @param {Buffer} salt - Random salt, stored next to the data (16+ bytes)
+     * @param {Object} [options] - scrypt cost parameters (N, r, p, maxmem)
+     * @returns {Promise<Buffer>} 32 byte key
+     */
+    static deriveKey(passphrase, salt, options = {}) {
+        ValidationUtils.assertBuffer(salt, 'salt');
+        const params = Object.assign({}, SCRYPT_DEFAULTS, options);
+        return new Promise((resolve, reject) => {
+            nodeCrypto.scrypt(passphrase, salt, KEY_SIZE, params, (err, key) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(key);
+                }
+            });
+        });
+    }
+
+    /**
+     * Create a key ring holding a single passphrase derived key
+     * @see StorageKeyRing.deriveKey
+     * @returns {Promise<StorageKeyRing>} Key ring
+     */
+    static async fromPassphrase(passphrase, salt, options) {
+        return new this([await this.deriveKey(passphrase, salt, options)]);
+    }
+
+    /**
+     * @param {Buffer[]} keys - 32 byte keys, the first one is made current
+     */
+    constructor(keys = []) {
+        this._keys = new Map();
+        this._currentKeyId = null;
+        for (const key of Array.from(keys).reverse()) {
+            this.addKey(key);
+        }
+    }
+
+    /**
+     * Add a key to the ring
+     * @param {Buffer} key - 32 byte key
+     * @param {boolean} [makeCurrent=true] - Seal new values with this key
+     * @returns {string} Hex id of the key
+     */
+    addKey(key, makeCurrent = true) {
+        ValidationUtils.assertBufferLength(key, KEY_SIZE, 'key');
+        const keyId = keyIdFor(key);
+        this._keys.set(keyId.toString('hex'), Buffer.from(key));
+        if (makeCurrent || this._currentKeyId === null) {
+            this._currentKeyId = keyId.toString('hex');
+        }
+        return keyId.toString('hex');
+    }
+
+    /**
+     * Remove a retired key; values still sealed with it can't be opened anymore
+     * @param {string} keyId - Hex id returned by addKey
+     */
+    removeKey(keyId) {
+        if (keyId === this._currentKeyId) {
+            throw new Error('Cannot remove the current key');
+        }
+        this._keys.delete(keyId);
+    }
+
+    get currentKeyId() {
+        return this._currentKeyId;
+    }
+
+    /**
+     * Check if a buffer looks like a value sealed by a StorageKeyRing
+     * @param {Buffer} value - Value to check
+     * @returns {boolean} True if sealed
+     */
+    isSealed(value) {
+        return Buffer.isBuffer(value) &&
+               value.length >= HEADER_SIZE + TAG_SIZE &&
+               value[0] === FORMAT_VERSION;
+    }
+
+    /**
+     * Encrypt and authenticate a value under the current key
+     * @param {Buffer} plaintext - Value to seal
+     * @param {string} context - Where the value is stored; it must be given
+     *        again to open the value, so sealed values can't be moved around
+     * @returns {Buffer} Sealed value
+     */
+    seal(plaintext, context) {
+        ValidationUtils.assertBuffer(plaintext, 'plaintext');
+        if (this._currentKeyId === null) {
+            throw new Error('StorageKeyRing has no keys');
+        }
+        const header = Buffer.alloc(HEADER_SIZE);
+        header[0] = FORMAT_VERSION;
+        Buffer.from(this._currentKeyId, 'hex').copy(header, 1);
+        nodeCrypto.randomBytes(IV_SIZE).copy(header, 1 + KEY_ID_SIZE);
+        const cipher = nodeCrypto.createCipheriv('aes-256-gcm', this._keys.get(this._currentKeyId),
+                                                 header.slice(1 + KEY_ID_SIZE));
+        cipher.setAAD(Buffer.concat([header, Buffer.from(context)]));
+        return Buffer.concat([header, cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+    }
+
+    /**
+     * Verify and decrypt a sealed value
+     * @param {Buffer} sealed - Value returned by seal
+     * @param {string} context - Context given to seal
+     * @returns {Buffer} Plaintext
+     * @throws {StorageIntegrityError} If the value was modified, moved or
+     *         sealed with an unknown key
+     */
+    open(sealed, context) {
+        if (!this.isSealed(sealed)) {
+            throw new errors.StorageIntegrityError(context, 'value is not sealed');
+        }
+        const header = sealed.slice(0, HEADER_SIZE);
+        const keyId = header.slice(1, 1 + KEY_ID_SIZE).toString('hex');
+        const key = this._keys.get(keyId);
+        if (!key) {
+            throw new errors.StorageIntegrityError(context, `unknown storage key ${keyId}`);
+        }
+        const decipher = nodeCrypto.createDecipheriv('aes-256-gcm', key, header.slice(1 + KEY_ID_SIZE));
+        decipher.setAAD(Buffer.concat([header, Buffer.from(context)]));
+        decipher.setAuthTag(sealed.slice(-TAG_SIZE));
+        try {
+            return Buffer.concat([decipher.update(sealed.slice(HEADER_SIZE, -TAG_SIZE)),
+                                  decipher.final()]);
+        } catch {
+            throw new errors.StorageIntegrityError(context, 'authentication failed');
+        }
+    }
+}
+
+function keyIdFor(key) {
+    return nodeCrypto.createHmac('sha256', key).update('StorageKeyRing key id')
+                     .digest().slice(0, KEY_ID_SIZE);
+}
+
+module.exports = StorageKeyRing;
@@ -0,0 +1,132 @@
+// vim: ts=4:sw=4:expandtab
+'use strict';
+
+const errors = require('../errors');
+
+/**
+ * Staged view of a store.
+ *
+ * Writes made through a StorageTransaction are kept in memory and only reach
+ * a store when applyTo() replays them; reads see the staged writes first and
+ * fall through to the underlying store otherwise.  Stores build their
+ * `transaction(fn)` capability on top of this by committing changes() in one
+ * atomic step.
+ */
+class StorageTransaction {
+
+    /**
+     * @param {Object} storage - Store that reads fall through to
+     */
+    constructor(storage) {
+        this.storage = storage;
+        this._identities = new Map();
+        this._sessions = new Map();
+        this._removedPreKeys = new Map();  // Prekey ID -> address that consumed it
+    }
+
+    async getOurIdentity() {
+        return await this.storage.getOurIdentity();
+    }
+
+    async getOurRegistrationId() {
+        return await this.storage.getOurRegistrationId();
+    }
+
+    async isTrustedIdentity(...args) {
+        return await this.storage.isTrustedIdentity(...args);
+    }
+
+    async loadIdentityKey(identifier) {
+        if (this._identities.has(String(identifier))) {
+            return this._identities.get(String(identifier));
+        }
+        if (typeof this.storage.loadIdentityKey === 'function') {
+            return await this.storage.loadIdentityKey(identifier);
+        }
+    }
+
+    /**
+     * Stage a remote identity key.  A replaced key can only be detected when
+     * the underlying store implements loadIdentityKey.
+     * @returns {Promise<boolean>} True if a different key was replaced
+     */
+    async saveIdentity(identifier, identityKey) {
+        const existing = await this.loadIdentityKey(identifier);
+        this._identities.set(String(identifier), Buffer.from(identityKey));
+        return !!existing && !existing.equals(identityKey);
+    }
+
+    async loadPreKey(keyId) {
+        if (this._removedPreKeys.has(keyId)) {
+            return undefined;
+        }
+        return await this.storage.loadPreKey(keyId);
+    }
+
+    async removePreKey(keyId, address) {
+        this._removedPreKeys.set(keyId, address);
+    }
+
+    async loadSignedPreKey(keyId) {
+        return await this.storage.loadSignedPreKey(keyId);
+    }
+
+    async loadKyberPreKey(keyId) {
+        if (typeof this.storage.loadKyberPreKey !== 'function') {
+            throw new errors.StorageError('loadKyberPreKey', 'required storage method is missing');
+        }
+        return await this.storage.loadKyberPreKey(keyId);
+    }
+
+    async loadSession(address) {
+        if (this._sessions.has(String(address))) {
+            return this._sessions.get(String(address));
+        }
+        return await this.storage.loadSession(address);
+    }
+
+    async storeSession(address, record) {
+        this._sessions.set(String(address), record);
+    }
+
+    /**
+     * Staged writes, in the order they should be applied
+     * @returns {Object} Identities as [identifier, key] pairs, sessions as
+     *          [address, record] pairs and removed prekey IDs
+     */
+    changes() {
+        return {
+            identities: Array.from(this._identities.entries()),
+            sessions: Array.from(this._sessions.entries()),
+            removedPreKeys: Array.from(this._removedPreKeys.keys())
+        };
+    }
+
+    /**
+     * Check if anything was written
+     * @returns {boolean} True if there is nothing to apply
+     */
+    isEmpty() {
+        return this._identities.size === 0 && this._sessions.size === 0 &&
+               this._removedPreKeys.size === 0;
+    }
+
+    /**
+     * Replay the staged writes on a store, one call at a time
+     * @param {Object} target - Store (or store transaction) to write to
+     */
+    async applyTo(target) {
+        const changes = this.changes();
+        for (const [identifier, identityKey] of changes.identities) {
+            await target.saveIdentity(identifier, identityKey);
+        }
+        for (const [address, record] of changes.sessions) {
+            await target.storeSession(address, record);
+        }
+        for (const keyId of changes.removedPreKeys) {
+            await target.removePreKey(keyId, this._removedPreKeys.get(keyId));
+        }
+    }
+}
+
+module.exports = StorageTransaction;
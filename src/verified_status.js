@@ -0,0 +1,7 @@
+const VerifiedStatus = {
+    DEFAULT: 0,
+    VERIFIED: 1,
+    UNVERIFIED: 2
+};
+
+module.exports = VerifiedStatus;
@@ -0,0 +1,59 @@
+// vim: ts=4:sw=4:expandtab
+'use strict';
+
+const assert = require('assert');
+const nodeCrypto = require('crypto');
+const {describe, it} = require('node:test');
+const libsignal = require('..');
+const {createBundle, createStore} = require('./helpers');
+
+const {EncryptedSignalProtocolStore, InMemorySignalProtocolStore, StorageKeyRing} = libsignal.storage;
+const {ProtocolAddress, SessionBuilder, SessionCipher, keyhelper} = libsignal;
+
+const ALICE = new ProtocolAddress('alice', 1);
+const BOB = new ProtocolAddress('bob', 1);
+
+function createEncryptedStore() {
+    const keyRing = new StorageKeyRing([nodeCrypto.randomBytes(32)]);
+    const identity = EncryptedSignalProtocolStore.sealIdentityKeyPair(
+        keyRing, keyhelper.generateIdentityKeyPair());
+    const inner = new InMemorySignalProtocolStore(identity, keyhelper.generateRegistrationId());
+    return {inner, keyRing, store: new EncryptedSignalProtocolStore(inner, keyRing)};
+}
+
+describe('EncryptedSignalProtocolStore', () => {
+
+    it('runs sessions with every secret sealed in the wrapped store', async () => {
+        const {inner, store: alice} = createEncryptedStore();
+        const bob = createStore();
+        await new SessionBuilder(alice, BOB).initOutgoing(await createBundle(bob, 1));
+        const message = await new SessionCipher(alice, BOB).encrypt(Buffer.from('sealed'));
+        assert.strictEqual((await new SessionCipher(bob, ALICE).decrypt(message)).toString(), 'sealed');
+        const reply = await new SessionCipher(bob, ALICE).encrypt(Buffer.from('reply'));
+        assert.strictEqual((await new SessionCipher(alice, BOB).decrypt(reply)).toString(), 'reply');
+
+        const raw = (await inner.loadSession(BOB.toString())).getOpenSession();
+        const opened = (await alice.loadSession(BOB.toString())).getOpenSession();
+        assert(!raw.currentRatchet.rootKey.equals(opened.currentRatchet.rootKey));
+        assert.strictEqual(opened.currentRatchet.rootKey.length, 32);
+    });
+
+    it('raises StorageIntegrityError for a value moved to another position', async () => {
+        const {inner, store} = createEncryptedStore();
+        await store.storePreKey(1, keyhelper.generatePreKey(1).keyPair);
+        await inner.storePreKey(2, await inner.loadPreKey(1));
+        await assert.rejects(store.loadPreKey(2), libsignal.StorageIntegrityError);
+    });
+
+    it('moves values to a new key with reencrypt', async () => {
+        const {keyRing, store} = createEncryptedStore();
+        const keyPair = keyhelper.generatePreKey(1).keyPair;
+        await store.storePreKey(1, keyPair);
+        const oldKeyId = keyRing.currentKeyId;
+        keyRing.addKey(nodeCrypto.randomBytes(32));
+        assert.deepStrictEqual(await store.reencrypt({preKeyIds: [1]}),
+                               {sessions: 0, preKeys: 1, signedPreKeys: 0, kyberPreKeys: 0, senderKeys: 0});
+        keyRing.removeKey(oldKeyId);
+        assert.deepStrictEqual(await store.loadPreKey(1), keyPair);
+    });
+});
@@ -0,0 +1,85 @@
+// vim: ts=4:sw=4:expandtab
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const {describe, it} = require('node:test');
+const libsignal = require('..');
+const {createBundle, tempDir} = require('./helpers');
+
+const {FileSignalProtocolStore} = libsignal.storage;
+const {Direction, ProtocolAddress, SessionBuilder, SessionCipher, keyhelper} = libsignal;
+
+const ALICE = new ProtocolAddress('alice', 1);
+const BOB = new ProtocolAddress('bob', 1);
+
+function openStore(dir) {
+    return FileSignalProtocolStore.open(dir, {
+        identityKeyPair: keyhelper.generateIdentityKeyPair(),
+        registrationId: keyhelper.generateRegistrationId()
+    });
+}
+
+describe('FileSignalProtocolStore', () => {
+
+    it('keeps sessions across reopening', async t => {
+        const aliceDir = tempDir(t);
+        const alice = await openStore(aliceDir);
+        const bob = await openStore(tempDir(t));
+        await new SessionBuilder(alice, BOB).initOutgoing(await createBundle(bob, 1));
+        const message = await new SessionCipher(alice, BOB).encrypt(Buffer.from('one'));
+        assert.strictEqual((await new SessionCipher(bob, ALICE).decrypt(message)).toString(), 'one');
+
+        const reopened = await FileSignalProtocolStore.open(aliceDir);
+        assert.deepStrictEqual(await reopened.getOurIdentity(), await alice.getOurIdentity());
+        const reply = await new SessionCipher(bob, ALICE).encrypt(Buffer.from('two'));
+        assert.strictEqual((await new SessionCipher(reopened, BOB).decrypt(reply)).toString(), 'two');
+        assert.deepStrictEqual(await reopened.getSessionAddresses(), [BOB.toString()]);
+    });
+
+    it('consumes the one-time prekey with the session', async t => {
+        const alice = await openStore(tempDir(t));
+        const bob = await openStore(tempDir(t));
+        await new SessionBuilder(alice, BOB).initOutgoing(await createBundle(bob, 7));
+        const message = await new SessionCipher(alice, BOB).encrypt(Buffer.from('x'));
+        await new SessionCipher(bob, ALICE).decrypt(message);
+        assert.strictEqual(await bob.loadPreKey(7), undefined);
+        assert(await bob.loadSession(ALICE.toString()));
+    });
+
+    it('replays transactions a crash left in the journal', async t => {
+        const dir = tempDir(t);
+        await openStore(dir);
+        const identityKey = keyhelper.generateIdentityKeyPair().pubKey;
+        const journal = path.join(dir, 'journal', '000000000000001-000000000000.json');
+        fs.writeFileSync(journal, JSON.stringify([{
+            dir: 'identities',
+            name: 'carol.1',
+            data: {publicKey: identityKey.toString('base64')}
+        }]));
+        const reopened = await FileSignalProtocolStore.open(dir);
+        assert(identityKey.equals(await reopened.loadIdentityKey('carol.1')));
+        assert.deepStrictEqual(fs.readdirSync(path.join(dir, 'journal')), []);
+    });
+
+    it('raises StorageIntegrityError for a corrupt identity instead of trusting a new key', async t => {
+        const dir = tempDir(t);
+        const store = await openStore(dir);
+        const identityKey = keyhelper.generateIdentityKeyPair().pubKey;
+        await store.saveIdentity('carol.1', identityKey);
+        fs.writeFileSync(path.join(dir, 'identities', 'carol.1.json'), '{broken');
+        const otherKey = keyhelper.generateIdentityKeyPair().pubKey;
+        await assert.rejects(store.isTrustedIdentity('carol.1', otherKey, Direction.RECEIVING),
+                             libsignal.StorageIntegrityError);
+        await assert.rejects(store.loadIdentityKey('carol.1'), libsignal.StorageIntegrityError);
+    });
+
+    it('refuses to be used before it was opened', async t => {
+        const store = new FileSignalProtocolStore(tempDir(t));
+        await assert.rejects(store.loadSession('bob.1'), /Store not opened/);
+        await assert.rejects(store.storePreKey(1, keyhelper.generatePreKey(1).keyPair),
+                             /Store not opened/);
+        await assert.rejects(store.transaction(async () => {}), /Store not opened/);
+    });
+});
@@ -0,0 +1,59 @@
+// vim: ts=4:sw=4:expandtab
+'use strict';
+
+const assert = require('assert');
+const {describe, it} = require('node:test');
+const libsignal = require('..');
+const {createStore} = require('./helpers');
+
+const {GroupCipher, GroupSessionBuilder, ProtocolAddress, SenderKeyName} = libsignal;
+
+const SENDER = new SenderKeyName('group', new ProtocolAddress('alice', 1));
+
+async function setup() {
+    const alice = createStore();
+    const bob = createStore();
+    const distribution = await new GroupSessionBuilder(alice).create(SENDER);
+    await new GroupSessionBuilder(bob).process(SENDER, distribution);
+    return {alice, bob, distribution};
+}
+
+describe('GroupCipher', () => {
+
+    it('decrypts messages from a processed sender key distribution', async () => {
+        const {alice, bob} = await setup();
+        const sender = new GroupCipher(alice, SENDER);
+        const receiver = new GroupCipher(bob, SENDER);
+        const one = await sender.encrypt(Buffer.from('one'));
+        const two = await sender.encrypt(Buffer.from('two'));
+        assert.strictEqual((await receiver.decrypt(two)).toString(), 'two');
+        assert.strictEqual((await receiver.decrypt(one)).toString(), 'one');
+        await assert.rejects(receiver.decrypt(one), libsignal.MessageCounterError);
+    });
+
+    it('ignores a replayed distribution message instead of rewinding the chain', async () => {
+        const {alice, bob, distribution} = await setup();
+        const message = await new GroupCipher(alice, SENDER).encrypt(Buffer.from('x'));
+        await new GroupCipher(bob, SENDER).decrypt(message);
+        await new GroupSessionBuilder(bob).process(SENDER, distribution);
+        await assert.rejects(new GroupCipher(bob, SENDER).decrypt(message),
+                             libsignal.MessageCounterError);
+        assert.strictEqual((await bob.loadSenderKey(SENDER.toString())).states.length, 1);
+    });
+
+    it('rejects messages and distributions from unsupported versions', async () => {
+        const {alice, bob, distribution} = await setup();
+        const message = await new GroupCipher(alice, SENDER).encrypt(Buffer.from('x'));
+        for (const [byte, ErrorType] of [[0x22, libsignal.LegacyMessageError],
+                                         [0x55, libsignal.UnsupportedVersionError]]) {
+            const body = Buffer.from(message);
+            body[0] = byte;
+            await assert.rejects(new GroupCipher(bob, SENDER).decrypt(body), ErrorType);
+            const copy = Buffer.from(distribution);
+            copy[0] = byte;
+            await assert.rejects(new GroupSessionBuilder(bob).process(SENDER, copy), ErrorType);
+        }
+        await assert.rejects(new GroupSessionBuilder(bob).process(SENDER, Buffer.from([0x33])),
+                             libsignal.SessionError);
+    });
+});
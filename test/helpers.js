@@ -0,0 +1,74 @@
+// vim: ts=4:sw=4:expandtab
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const libsignal = require('..');
+
+const {InMemorySignalProtocolStore} = libsignal.storage;
+const {keyhelper} = libsignal;
+
+function createStore() {
+    return new InMemorySignalProtocolStore(keyhelper.generateIdentityKeyPair(),
+                                           keyhelper.generateRegistrationId());
+}
+
+/**
+ * Store fresh prekeys in store and return the bundle a server would hand out
+ * @param {Object} store - Store of the device the bundle belongs to
+ * @param {number} keyId - ID of the prekeys
+ * @param {Object} [options]
+ * @param {boolean} [options.kyber=false] - Include a Kyber prekey
+ */
+async function createBundle(store, keyId, options = {}) {
+    const identity = await store.getOurIdentity();
+    const preKey = keyhelper.generatePreKey(keyId);
+    const signedPreKey = keyhelper.generateSignedPreKey(identity, keyId);
+    await store.storePreKey(keyId, preKey.keyPair);
+    await store.storeSignedPreKey(keyId, signedPreKey.keyPair);
+    const bundle = {
+        identityKey: identity.pubKey,
+        registrationId: await store.getOurRegistrationId(),
+        preKey: {keyId, publicKey: preKey.keyPair.pubKey},
+        signedPreKey: {
+            keyId,
+            publicKey: signedPreKey.keyPair.pubKey,
+            signature: signedPreKey.signature
+        }
+    };
+    if (options.kyber) {
+        const kyberPreKey = keyhelper.generateKyberPreKey(identity, keyId);
+        await store.storeKyberPreKey(keyId, kyberPreKey.keyPair);
+        bundle.kyberPreKey = {
+            keyId,
+            publicKey: kyberPreKey.keyPair.pubKey,
+            signature: kyberPreKey.signature
+        };
+    }
+    return bundle;
+}
+
+/**
+ * Set up a session from senderStore to the device at recipientAddress
+ */
+async function initSession(senderStore, recipientStore, recipientAddress, options = {}) {
+    const bundle = await createBundle(recipientStore, options.keyId || 1, options);
+    await new libsignal.SessionBuilder(senderStore, recipientAddress).initOutgoing(bundle);
+}
+
+/**
+ * Create a temporary directory that is removed after the current test
+ */
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'libsignal-test-'));
+    t.after(() => fs.rmSync(dir, {recursive: true, force: true}));
+    return dir;
+}
+
+module.exports = {
+    createStore,
+    createBundle,
+    initSession,
+    tempDir
+};
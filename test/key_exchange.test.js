@@ -0,0 +1,112 @@
+// vim: ts=4:sw=4:expandtab
+'use strict';
+
+const assert = require('assert');
+const {describe, it} = require('node:test');
+const libsignal = require('..');
+const {createStore} = require('./helpers');
+
+const {MessageType, ProtocolAddress, SessionBuilder, SessionCipher} = libsignal;
+const {KeyExchangeMessage} = libsignal.messages;
+
+const ALICE = new ProtocolAddress('alice', 1);
+const BOB = new ProtocolAddress('bob', 1);
+
+function wire(message) {
+    return KeyExchangeMessage.deserialize(message.serialize());
+}
+
+async function assertSession(alice, bob) {
+    const toBob = new SessionCipher(alice, BOB);
+    const toAlice = new SessionCipher(bob, ALICE);
+    for (const [sender, receiver] of [[toBob, toAlice], [toAlice, toBob], [toBob, toAlice]]) {
+        const message = await sender.encrypt(Buffer.from('hi'));
+        assert.strictEqual(message.type, MessageType.WHISPER);
+        assert.strictEqual((await receiver.decrypt(message)).toString(), 'hi');
+    }
+}
+
+describe('Key exchange', () => {
+
+    it('sets up a session without prekeys', async () => {
+        const alice = createStore();
+        const bob = createStore();
+        const initiate = await new SessionBuilder(alice, BOB).initKeyExchange();
+        const {response, identityChanged} = await new SessionBuilder(bob, ALICE).processKeyExchange(
+            wire(initiate));
+        assert(response);
+        assert.strictEqual(identityChanged, false);
+        const done = await new SessionBuilder(alice, BOB).processKeyExchange(wire(response));
+        assert.strictEqual(done.response, undefined);
+        assert.strictEqual((await alice.loadSession(BOB.toString())).pendingKeyExchange, null);
+        await assertSession(alice, bob);
+    });
+
+    it('settles simultaneous exchanges on the lower id', async () => {
+        const alice = createStore();
+        const bob = createStore();
+        const fromAlice = await new SessionBuilder(alice, BOB).initKeyExchange();
+        const fromBob = await new SessionBuilder(bob, ALICE).initKeyExchange();
+        const atAlice = await new SessionBuilder(alice, BOB).processKeyExchange(wire(fromBob));
+        const atBob = await new SessionBuilder(bob, ALICE).processKeyExchange(wire(fromAlice));
+        if (fromAlice.id < fromBob.id) {
+            assert(!atAlice.response && atBob.response);
+            await new SessionBuilder(alice, BOB).processKeyExchange(wire(atBob.response));
+        } else {
+            assert(atAlice.response && !atBob.response);
+            await new SessionBuilder(bob, ALICE).processKeyExchange(wire(atAlice.response));
+        }
+        await assertSession(alice, bob);
+    });
+
+    it('rejects a replayed initiate message without touching the session', async () => {
+        const alice = createStore();
+        const bob = createStore();
+        const initiate = await new SessionBuilder(alice, BOB).initKeyExchange();
+        const {response} = await new SessionBuilder(bob, ALICE).processKeyExchange(wire(initiate));
+        await new SessionBuilder(alice, BOB).processKeyExchange(wire(response));
+        await assertSession(alice, bob);
+        const before = (await bob.loadSession(ALICE.toString())).serialize();
+        await assert.rejects(new SessionBuilder(bob, ALICE).processKeyExchange(wire(initiate)),
+                             /already processed/);
+        assert.deepStrictEqual((await bob.loadSession(ALICE.toString())).serialize(), before);
+        await assertSession(alice, bob);
+    });
+
+    it('rejects late and duplicate responses', async () => {
+        const alice = createStore();
+        const bob = createStore();
+        const first = await new SessionBuilder(alice, BOB).initKeyExchange();
+        const second = await new SessionBuilder(alice, BOB).initKeyExchange();
+        const late = await new SessionBuilder(bob, ALICE).processKeyExchange(wire(first));
+        await assert.rejects(new SessionBuilder(alice, BOB).processKeyExchange(wire(late.response)),
+                             /No pending key exchange/);
+        const {response} = await new SessionBuilder(bob, ALICE).processKeyExchange(wire(second));
+        await new SessionBuilder(alice, BOB).processKeyExchange(wire(response));
+        await assertSession(alice, bob);
+        await assert.rejects(new SessionBuilder(alice, BOB).processKeyExchange(wire(response)),
+                             libsignal.KeyExchangeError);
+        await assertSession(alice, bob);
+    });
+
+    it('rejects responses it never asked for', async () => {
+        const alice = createStore();
+        const bob = createStore();
+        const initiate = await new SessionBuilder(alice, BOB).initKeyExchange();
+        const {response} = await new SessionBuilder(bob, ALICE).processKeyExchange(wire(initiate));
+        await assert.rejects(new SessionBuilder(createStore(), BOB).processKeyExchange(wire(response)),
+                             /No pending key exchange/);
+    });
+
+    it('rejects bad signatures and our own messages', async () => {
+        const alice = createStore();
+        const bob = createStore();
+        const initiate = await new SessionBuilder(alice, BOB).initKeyExchange();
+        initiate.baseKeySignature = Buffer.alloc(64, 1);
+        await assert.rejects(new SessionBuilder(bob, ALICE).processKeyExchange(initiate),
+                             libsignal.KeyExchangeError);
+        const own = await new SessionBuilder(alice, BOB).initKeyExchange();
+        await assert.rejects(new SessionBuilder(alice, BOB).processKeyExchange(wire(own)),
+                             /our own/);
+    });
+});
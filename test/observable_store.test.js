@@ -0,0 +1,71 @@
+// vim: ts=4:sw=4:expandtab
+'use strict';
+
+const assert = require('assert');
+const {describe, it} = require('node:test');
+const libsignal = require('..');
+const {createStore, initSession} = require('./helpers');
+
+const {ObservableSignalProtocolStore} = libsignal.storage;
+const {ProtocolAddress, SessionCipher, VerifiedStatus} = libsignal;
+
+const ALICE = new ProtocolAddress('alice', 1);
+const BOB = new ProtocolAddress('bob', 1);
+
+function observe(store) {
+    const observable = new ObservableSignalProtocolStore(store);
+    const events = [];
+    for (const event of Object.values(ObservableSignalProtocolStore.Events)) {
+        observable.on(event, summary => events.push([event, summary]));
+    }
+    return {observable, events};
+}
+
+describe('ObservableSignalProtocolStore', () => {
+
+    it('reports new sessions and consumed prekeys once they were stored', async () => {
+        const alice = createStore();
+        const {observable: bob, events} = observe(createStore());
+        await initSession(alice, bob, BOB);
+        const message = await new SessionCipher(alice, BOB).encrypt(Buffer.from('x'));
+        await new SessionCipher(bob, ALICE).decrypt(message);
+
+        assert.strictEqual(events.length, 3);
+        const byName = new Map(events);
+        assert.deepStrictEqual(Array.from(byName.keys()).sort(), ['identity', 'prekey', 'session']);
+        assert(byName.get('session').address.is(ALICE));
+        assert(byName.get('prekey').address.is(ALICE));
+        // Identities are saved by user id, which is passed on as given.
+        assert.strictEqual(byName.get('identity').address, 'alice');
+        const session = byName.get('session');
+        assert.strictEqual(session.previousBaseKey, null);
+        assert.deepStrictEqual(session.remoteIdentityKey, (await alice.getOurIdentity()).pubKey);
+    });
+
+    it('passes on identifiers that are not encoded addresses', async () => {
+        const {observable, events} = observe(createStore());
+        const identityKey = (await createStore().getOurIdentity()).pubKey;
+        assert.strictEqual(await observable.saveIdentity('carol', identityKey), false);
+        await observable.setVerified('carol', identityKey, VerifiedStatus.VERIFIED);
+        await observable.removePreKey(1, 'carol');
+        assert.deepStrictEqual(events.map(([event, summary]) => [event, summary.address]),
+                               [['identity', 'carol'], ['verified', 'carol'], ['prekey', 'carol']]);
+        assert(identityKey.equals(await observable.loadIdentityKey('carol')));
+    });
+
+    it('holds back events of a transaction until it committed', async () => {
+        const {observable, events} = observe(createStore());
+        const identityKey = (await createStore().getOurIdentity()).pubKey;
+        await assert.rejects(observable.transaction(async tx => {
+            await tx.saveIdentity('carol.1', identityKey);
+            throw new Error('rollback');
+        }), /rollback/);
+        assert.deepStrictEqual(events, []);
+        await observable.transaction(async tx => {
+            await tx.saveIdentity('carol.1', identityKey);
+            assert.deepStrictEqual(events, []);
+        });
+        assert.strictEqual(events.length, 1);
+        assert(events[0][1].address.is(new ProtocolAddress('carol', 1)));
+    });
+});
@@ -0,0 +1,113 @@
+// vim: ts=4:sw=4:expandtab
+'use strict';
+
+const assert = require('assert');
+const {describe, it} = require('node:test');
+const libsignal = require('..');
+const protobufs = require('../src/protobufs');
+const {createStore, initSession} = require('./helpers');
+
+const {ProtocolAddress, SealedSessionCipher, SenderCertificate, ServerCertificate, curve} = libsignal;
+const {InvalidCertificateError, SealedSenderError} = libsignal;
+
+const ALICE = new ProtocolAddress('alice', 1);
+const BOB = new ProtocolAddress('bob', 1);
+
+async function setup() {
+    const alice = createStore();
+    const bob = createStore();
+    await initSession(alice, bob, BOB);
+    const trustRoot = curve.generateKeyPair();
+    const server = curve.generateKeyPair();
+    const serverCertificate = ServerCertificate.create(trustRoot.privKey, 1, server.pubKey);
+    const certificate = SenderCertificate.create(serverCertificate, server.privKey, {
+        sender: ALICE,
+        identityKey: (await alice.getOurIdentity()).pubKey,
+        expires: Date.now() + 3600 * 1000
+    });
+    return {
+        alice: new SealedSessionCipher(alice),
+        bob: new SealedSessionCipher(bob),
+        certificate,
+        trustRoot
+    };
+}
+
+/**
+ * Encrypt with the inner message changed by patch before it is sealed
+ */
+async function encryptPatched(cipher, certificate, patch) {
+    const Message = protobufs.UnidentifiedSenderMessage.Message;
+    const encode = Message.encode;
+    Message.encode = message => encode.call(Message, patch(message));
+    try {
+        return await cipher.encrypt(BOB, certificate, Buffer.from('x'));
+    } finally {
+        Message.encode = encode;
+    }
+}
+
+describe('SealedSessionCipher', () => {
+
+    it('hides the sender until the certificate is verified', async () => {
+        const {alice, bob, certificate, trustRoot} = await setup();
+        const sealed = await alice.encrypt(BOB, certificate, Buffer.from('hello'));
+        const result = await bob.decrypt(trustRoot.pubKey, sealed);
+        assert.strictEqual(result.plaintext.toString(), 'hello');
+        assert(result.sender.is(ALICE));
+        assert.strictEqual(result.newSession, true);
+    });
+
+    it('rejects certificates not signed by the trust root or expired', async () => {
+        const {alice, bob, certificate, trustRoot} = await setup();
+        const sealed = await alice.encrypt(BOB, certificate, Buffer.from('x'));
+        await assert.rejects(bob.decrypt(curve.generateKeyPair().pubKey, sealed),
+                             InvalidCertificateError);
+        await assert.rejects(bob.decrypt(trustRoot.pubKey, sealed, certificate.expires),
+                             /expired/);
+        assert.strictEqual((await bob.decrypt(trustRoot.pubKey, sealed)).plaintext.toString(), 'x');
+    });
+
+    it('refuses to send with a certificate for another identity', async () => {
+        const {certificate} = await setup();
+        const mallory = createStore();
+        await initSession(mallory, createStore(), BOB);
+        await assert.rejects(new SealedSessionCipher(mallory).encrypt(BOB, certificate, Buffer.from('x')),
+                             /another identity key/);
+    });
+
+    it('rejects messages with missing fields or unknown types', async () => {
+        const {alice, bob, certificate, trustRoot} = await setup();
+        const cases = [
+            [m => ({type: m.type, senderCertificate: m.senderCertificate}), /Incomplete/],
+            [m => Object.assign({}, m, {type: 0}), /Unknown message type .*: 0/],
+            [m => Object.assign({}, m, {type: 9}), /Unknown message type .*: 9/]
+        ];
+        for (const [patch, pattern] of cases) {
+            const sealed = await encryptPatched(alice, certificate, patch);
+            await assert.rejects(bob.decrypt(trustRoot.pubKey, sealed),
+                                 e => e instanceof SealedSenderError && pattern.test(e.message));
+        }
+        await assert.rejects(bob.decrypt(trustRoot.pubKey, Buffer.from([0x11])), /Incomplete/);
+    });
+
+    it('rejects malformed certificates', () => {
+        assert.throws(() => SenderCertificate.deserialize(Buffer.from([1, 2, 3])),
+                      InvalidCertificateError);
+    });
+
+    it('rejects certificates with an empty certificate or signature', async () => {
+        const {certificate} = await setup();
+        for (const [Type, cert] of [[SenderCertificate, certificate],
+                                    [ServerCertificate, certificate.signer]]) {
+            const Message = protobufs[Type.name];
+            for (const fields of [{certificate: cert.certificate},
+                                  {certificate: Buffer.alloc(0), signature: cert.signature},
+                                  {signature: cert.signature}]) {
+                const data = Buffer.from(Message.encode(Message.create(fields)).finish());
+                assert.throws(() => Type.deserialize(data), /Incomplete/);
+            }
+            assert(Type.deserialize(cert.serialize()));
+        }
+    });
+});
@@ -0,0 +1,35 @@
+// vim: ts=4:sw=4:expandtab
+'use strict';
+
+const assert = require('assert');
+const {describe, it} = require('node:test');
+const libsignal = require('..');
+const {createBundle, createStore, initSession} = require('./helpers');
+
+const {ProtocolAddress, SessionBuilder, SessionCipher} = libsignal;
+
+const ALICE = new ProtocolAddress('alice', 1);
+const BOB = new ProtocolAddress('bob', 1);
+
+describe('SessionBuilder', () => {
+
+    it('saves remote identities under the user id', async () => {
+        const alice = createStore();
+        const bob = createStore();
+        await initSession(alice, bob, BOB);
+        await new SessionCipher(bob, ALICE).decrypt(
+            await new SessionCipher(alice, BOB).encrypt(Buffer.from('x')));
+        assert.deepStrictEqual(await alice.loadIdentityKey('bob'), (await bob.getOurIdentity()).pubKey);
+        assert.deepStrictEqual(await bob.loadIdentityKey('alice'), (await alice.getOurIdentity()).pubKey);
+        assert.strictEqual(await alice.loadIdentityKey(BOB.toString()), undefined);
+    });
+
+    it('checks every device against the identity saved for the user', async () => {
+        const alice = createStore();
+        await alice.saveIdentity('bob', (await createStore().getOurIdentity()).pubKey);
+        const bundle = await createBundle(createStore(), 1);
+        await assert.rejects(new SessionBuilder(alice, new ProtocolAddress('bob', 2)).initOutgoing(bundle),
+                             e => e instanceof libsignal.UntrustedIdentityKeyError && e.addr === 'bob');
+        await new SessionBuilder(alice, new ProtocolAddress('carol', 2)).initOutgoing(bundle);
+    });
+});
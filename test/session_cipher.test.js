@@ -0,0 +1,132 @@
+// vim: ts=4:sw=4:expandtab
+'use strict';
+
+const assert = require('assert');
+const {describe, it} = require('node:test');
+const libsignal = require('..');
+const {createStore, initSession} = require('./helpers');
+
+const {MessageType, ProtocolAddress, SessionCipher} = libsignal;
+
+const ALICE = new ProtocolAddress('alice', 1);
+const BOB = new ProtocolAddress('bob', 1);
+
+describe('SessionCipher', () => {
+
+    it('sets up a session from a prekey bundle and ratchets in both directions', async () => {
+        const alice = createStore();
+        const bob = createStore();
+        await initSession(alice, bob, BOB);
+        const toBob = new SessionCipher(alice, BOB);
+        const toAlice = new SessionCipher(bob, ALICE);
+
+        const first = await toBob.encrypt(Buffer.from('hello'));
+        assert.strictEqual(first.type, MessageType.PREKEY_WHISPER);
+        assert.strictEqual((await toAlice.decrypt(first)).toString(), 'hello');
+
+        const reply = await toAlice.encrypt(Buffer.from('hi'));
+        assert.strictEqual(reply.type, MessageType.WHISPER);
+        assert.strictEqual((await toBob.decrypt(reply)).toString(), 'hi');
+
+        const second = await toBob.encrypt(Buffer.from('again'));
+        assert.strictEqual(second.type, MessageType.WHISPER);
+        assert.strictEqual((await toAlice.decrypt(second)).toString(), 'again');
+    });
+
+    it('decrypts messages out of order and rejects duplicates', async () => {
+        const alice = createStore();
+        const bob = createStore();
+        await initSession(alice, bob, BOB);
+        const toBob = new SessionCipher(alice, BOB);
+        const toAlice = new SessionCipher(bob, ALICE);
+        await toAlice.decrypt(await toBob.encrypt(Buffer.from('setup')));
+        await toBob.decrypt(await toAlice.encrypt(Buffer.from('ack')));
+
+        const one = await toBob.encrypt(Buffer.from('one'));
+        const two = await toBob.encrypt(Buffer.from('two'));
+        assert.strictEqual((await toAlice.decrypt(two)).toString(), 'two');
+        assert.strictEqual((await toAlice.decrypt(one)).toString(), 'one');
+        await assert.rejects(toAlice.decrypt(one), libsignal.DuplicateMessageError);
+    });
+
+    it('sets up a PQXDH session from a bundle with a Kyber prekey', async () => {
+        const alice = createStore();
+        const bob = createStore();
+        await initSession(alice, bob, BOB, {kyber: true});
+        const message = await new SessionCipher(alice, BOB).encrypt(Buffer.from('pq'));
+        const result = await new SessionCipher(bob, ALICE).decryptWithMetadata(message);
+        assert.strictEqual(result.plaintext.toString(), 'pq');
+        assert.strictEqual(result.protocolVersion, libsignal.ProtocolVersion.PQXDH_VERSION);
+        assert.strictEqual(result.kyberPreKeyId, 1);
+    });
+
+    it('keeps the message key when the padding of a message is invalid', async () => {
+        const alice = createStore();
+        const bob = createStore();
+        await initSession(alice, bob, BOB);
+        await new SessionCipher(bob, ALICE).decrypt(
+            await new SessionCipher(alice, BOB).encrypt(Buffer.from('setup')));
+        await new SessionCipher(alice, BOB).decrypt(
+            await new SessionCipher(bob, ALICE).encrypt(Buffer.from('ack')));
+
+        const unpadded = await new SessionCipher(alice, BOB).encrypt(Buffer.from('one'));
+        const padded = await new SessionCipher(alice, BOB, {padding: true}).encrypt(Buffer.from('two'));
+        const toAlice = new SessionCipher(bob, ALICE, {padding: true});
+        await assert.rejects(toAlice.decrypt(unpadded), libsignal.PaddingError);
+        assert.strictEqual((await toAlice.decrypt(padded)).toString(), 'two');
+        assert.strictEqual((await new SessionCipher(bob, ALICE).decrypt(unpadded)).toString(), 'one');
+    });
+
+    it('preloads records after operations in progress on their addresses', async () => {
+        const alice = createStore();
+        const bob = createStore();
+        await initSession(alice, bob, BOB);
+        await new SessionCipher(bob, ALICE).decrypt(
+            await new SessionCipher(alice, BOB).encrypt(Buffer.from('setup')));
+        const message = await new SessionCipher(bob, ALICE).encrypt(Buffer.from('one'));
+
+        const decrypted = new SessionCipher(alice, BOB).decrypt(message);
+        const [toBob] = await SessionCipher.preload(alice, [BOB]);
+        assert.strictEqual((await decrypted).toString(), 'one');
+        const reply = await toBob.encrypt(Buffer.from('two'));
+        assert.strictEqual((await new SessionCipher(bob, ALICE).decrypt(reply)).toString(), 'two');
+        await assert.rejects(new SessionCipher(alice, BOB).decrypt(message),
+                             libsignal.DuplicateMessageError);
+        assert.strictEqual((await SessionCipher.preload(alice, [BOB, BOB])).length, 2);
+    });
+
+    it('encrypts for every device it can and reports the others', async () => {
+        const alice = createStore();
+        const bob = createStore();
+        await initSession(alice, bob, BOB);
+
+        const {results, errors, noSession} =
+            await SessionCipher.encryptForDevices(alice, 'bob', [1, 2, '3'], Buffer.from('all'));
+        assert.deepStrictEqual(Array.from(results.keys()), [1]);
+        assert.strictEqual((await new SessionCipher(bob, ALICE).decrypt(results.get(1))).toString(),
+                           'all');
+        assert.deepStrictEqual(noSession, [2]);
+        assert.deepStrictEqual(Array.from(errors.keys()), [2, '3']);
+        assert(errors.get(2) instanceof libsignal.NoSessionError);
+        assert(errors.get('3') instanceof TypeError);
+
+        const identityKey = (await bob.getOurIdentity()).pubKey;
+        await alice.setVerified('bob', identityKey, libsignal.VerifiedStatus.UNVERIFIED);
+        const blocked = await SessionCipher.encryptForDevices(alice, 'bob', [1], Buffer.from('no'));
+        assert.deepStrictEqual(blocked.untrusted, [1]);
+    });
+
+    it('rejects messages from unsupported protocol versions', async () => {
+        const alice = createStore();
+        const bob = createStore();
+        await initSession(alice, bob, BOB);
+        const message = await new SessionCipher(alice, BOB).encrypt(Buffer.from('x'));
+        const toAlice = new SessionCipher(bob, ALICE);
+        for (const [byte, ErrorType] of [[0x22, libsignal.LegacyMessageError],
+                                         [0x55, libsignal.UnsupportedVersionError]]) {
+            const body = Buffer.from(message.body);
+            body[0] = byte;
+            await assert.rejects(toAlice.decrypt({type: message.type, body}), ErrorType);
+        }
+    });
+});
@@ -0,0 +1,88 @@
+// vim: ts=4:sw=4:expandtab
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const {describe, it} = require('node:test');
+const libsignal = require('..');
+const {createStore, initSession, tempDir} = require('./helpers');
+
+const {FileSignalProtocolStore} = libsignal.storage;
+const {ProtocolAddress, ProtocolVersion, SessionCipher, SessionRecord, keyhelper} = libsignal;
+
+const ALICE = new ProtocolAddress('alice', 1);
+const BOB = new ProtocolAddress('bob', 1);
+
+/**
+ * Serialized record of an established session, as a v1 release wrote it
+ */
+async function legacyRecord() {
+    const alice = createStore();
+    const bob = createStore();
+    await initSession(alice, bob, BOB);
+    await new SessionCipher(bob, ALICE).decrypt(
+        await new SessionCipher(alice, BOB).encrypt(Buffer.from('x')));
+    const data = (await alice.loadSession(BOB.toString())).serialize();
+    data.version = 'v1';
+    for (const session of Object.values(data._sessions)) {
+        delete session.protocolVersion;
+    }
+    return data;
+}
+
+describe('SessionRecord migrations', () => {
+
+    it('migrates v1 sessions to protocol version 3', async () => {
+        const data = await legacyRecord();
+        const report = SessionRecord.migrate(data);
+        assert.strictEqual(report.from, 'v1');
+        assert(report.changed);
+        assert.strictEqual(data.version, report.to);
+        for (const session of Object.values(data._sessions)) {
+            assert.strictEqual(session.protocolVersion, ProtocolVersion.X3DH_VERSION);
+        }
+    });
+
+    it('leaves data untouched on a dry run', async () => {
+        const data = await legacyRecord();
+        const copy = JSON.parse(JSON.stringify(data));
+        assert(SessionRecord.migrate(data, {dryRun: true}).changed);
+        assert.deepStrictEqual(data, copy);
+    });
+
+    it('rejects unknown versions and leaves data alone when a step fails', async () => {
+        const data = await legacyRecord();
+        assert.throws(() => SessionRecord.migrate(Object.assign({}, data, {version: 'v9'})),
+                      libsignal.SessionMigrationError);
+        assert.throws(() => SessionRecord.migrate(data, {targetVersion: 'v9'}),
+                      libsignal.SessionMigrationError);
+        delete Object.values(data._sessions)[0].currentRatchet;
+        const copy = JSON.parse(JSON.stringify(data));
+        assert.throws(() => SessionRecord.migrate(data), /validation failed/);
+        assert.deepStrictEqual(data, copy);
+    });
+
+    it('reports the migration deserialize ran instead of logging it', async () => {
+        const record = SessionRecord.deserialize(await legacyRecord());
+        assert.strictEqual(record.migrationReport.from, 'v1');
+        assert(!('migrationReport' in record.serialize()));
+        assert.strictEqual(SessionRecord.deserialize(record.serialize()).migrationReport, null);
+    });
+
+    it('includes migrations done on load in the migrateStore report', async t => {
+        const dir = tempDir(t);
+        const store = await FileSignalProtocolStore.open(dir, {
+            identityKeyPair: keyhelper.generateIdentityKeyPair(),
+            registrationId: keyhelper.generateRegistrationId()
+        });
+        fs.writeFileSync(path.join(dir, 'sessions', `${BOB}.json`),
+                         JSON.stringify(await legacyRecord()));
+        const {reports, errors} = await SessionRecord.migrateStore(store);
+        assert.deepStrictEqual(errors, []);
+        assert.strictEqual(reports[0].report.from, 'v1');
+        assert(reports[0].report.changed);
+        const data = JSON.parse(fs.readFileSync(path.join(dir, 'sessions', `${BOB}.json`)));
+        assert.strictEqual(data.version, reports[0].report.to);
+    });
+});